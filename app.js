@@ -8,7 +8,10 @@ const imageRoutes = require('./routes/imageRoutes'); // Image upload and managem
 const adminRoutes = require('./routes/adminRoutes'); // Administrative functions for managing image pairs
 const statsRoutes = require('./routes/statsRoutes'); // User statistics and game history routes
 const userRoutes = require('./routes/userRoutes'); // User profile and preferences routes
+const leagueRoutes = require('./routes/leagueRoutes'); // Private leagues and their standings
 const connectDB = require('./config/db'); // Database connection configuration
+const { startRolloverScheduler, stopRolloverScheduler } = require('./utils/rolloverScheduler'); // Daily reset of tries and streaks
+const { startJobWorker, stopJobWorker } = require('./utils/jobQueue'); // Background AI pair generation
 
 const app = express();
 
@@ -38,7 +41,7 @@ app.use(cors({
           ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Guest-Token'],
     exposedHeaders: ['Content-Type', 'Authorization', 'Accept'],
     maxAge: 86400 // Cache preflight requests for 24 hours
 }));
@@ -52,6 +55,8 @@ app.use(express.urlencoded({ extended: true }));
     try {
         await connectDB();
         console.log('Database connected successfully');
+        startRolloverScheduler();
+        startJobWorker();
     } catch (error) {
         console.error('Database connection failed:', error);
         process.exit(1);
@@ -70,6 +75,7 @@ app.use('/api/images', imageRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/leagues', leagueRoutes);
 
 // API 404 handler - only handle /api/* routes
 app.use('/api/*', (req, res) => {
@@ -121,6 +127,8 @@ const server = app.listen(PORT, () => {
 // Handle graceful shutdown on SIGTERM signal
 process.on('SIGTERM', () => {
     console.log('SIGTERM signal received. Closing HTTP server.');
+    stopRolloverScheduler();
+    stopJobWorker();
     server.close(() => {
         console.log('HTTP server closed.');
     });
@@ -2,7 +2,18 @@
 
 const mongoose = require("mongoose");
 const ImagePair = require("../models/ImagePair");
+const GraceDay = require("../models/GraceDay");
+const User = require("../models/User");
+const Achievement = require("../models/Achievement");
+const PairReview = require("../models/PairReview");
 const jwt = require("jsonwebtoken");
+const { summarizePairStats } = require("../utils/pairStatsUtils");
+const { seedDefaultAchievements, recomputeAllAchievements } = require("../utils/achievementUtils");
+const { rebuildUserStats, rebuildAllStats, restoreStreaksForGraceDay } = require("../utils/statsRebuildUtils");
+const { listReviewQueue, reviewPair, summarizeRejections } = require("../utils/reviewUtils");
+const { getUnapprovedDayFallback, getLatestPuzzleDay, publishDueDays, listPublishingSchedule } = require("../utils/publishUtils");
+const { isValidDateString, addDays } = require("../utils/dateUtils");
+const { getScheduledDate, scheduledDateFilter, parsePuzzleDay } = require("../utils/puzzleCalendar");
 
 // Dynamically select collection name based on environment
 const collectionName = process.env.NODE_ENV === "staging" ? "staging_imagePairs" : "imagePairs";
@@ -20,17 +31,21 @@ exports.adminLogin = async (req, res) => {
     return res.status(401).json({ message: "Invalid credentials" });
   }
 
-  // Generate JWT token without expiration for admin
-  const token = jwt.sign({ role: "admin" }, process.env.JWT_SECRET);
+  // Generate JWT token without expiration for admin. The email identifies the reviewer.
+  const token = jwt.sign({ role: "admin", email }, process.env.JWT_SECRET);
 
   res.json({ token });
 };
 
 // Upload image pairs for a specific day
 exports.uploadDayPuzzle = async (req, res) => {
-  const { date } = req.body;
+  const day = parsePuzzleDay(req.body.date);
   const pairs = [];
 
+  if (!day) {
+    return res.status(400).json({ message: "A valid date is required" });
+  }
+
   // Process image pairs from the formData
   for (let i = 0; i < 5; i++) {
     if (req.files[`human${i}`] && req.files[`ai${i}`]) {
@@ -49,13 +64,13 @@ exports.uploadDayPuzzle = async (req, res) => {
   }
 
   try {
-    let existingPair = await ImagePairCollection.findOne({ date });
+    let existingPair = await ImagePairCollection.findOne({ scheduledDate: scheduledDateFilter(day) });
 
     if (existingPair) {
       existingPair.pairs = pairs;
       await existingPair.save();
     } else {
-      await ImagePairCollection.create({ date, pairs });
+      await ImagePairCollection.create({ scheduledDate: getScheduledDate(day), pairs });
     }
 
     res.status(200).json({ message: "Image pairs uploaded successfully" });
@@ -68,21 +83,14 @@ exports.uploadDayPuzzle = async (req, res) => {
 // Get image pairs by date
 exports.getImagePairsByDate = async (req, res) => {
   try {
-    const { date } = req.params;
-    if (!date) {
+    const day = parsePuzzleDay(req.params.date);
+    if (!day) {
       return res.status(400).json({ error: "Date parameter is required" });
     }
 
-    // Convert the date string to a proper UTC date range
-    const queryStart = new Date(date);
-    queryStart.setUTCHours(0, 0, 0, 0); // Start of day UTC
-
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999); // End of day UTC
-
-    // Find image pairs within this date range
+    // Find image pairs within this puzzle day
     const imagePair = await ImagePairCollection.findOne({
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+      scheduledDate: scheduledDateFilter(day)
     });
 
     if (!imagePair) {
@@ -95,3 +103,392 @@ exports.getImagePairsByDate = async (req, res) => {
     res.status(500).json({ message: "Failed to fetch image pairs" });
   }
 };
+
+// List declared grace days, newest first
+exports.getGraceDays = async (req, res) => {
+  try {
+    const graceDays = await GraceDay.find().sort({ date: -1 });
+    res.status(200).json(graceDays);
+  } catch (error) {
+    console.error("Error fetching grace days:", error);
+    res.status(500).json({ message: "Failed to fetch grace days" });
+  }
+};
+
+// Declare a grace day so nobody's streak breaks on it. A day that has already
+// passed also rebuilds the streaks it bridges; players whose history predates
+// recorded results cannot be rebuilt and keep their broken streak.
+exports.createGraceDay = async (req, res) => {
+  try {
+    const day = parsePuzzleDay(req.body.date);
+    if (!day) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    if (await GraceDay.exists({ date: day })) {
+      return res.status(409).json({ message: "A grace day already exists for this date" });
+    }
+
+    const graceDay = await GraceDay.create({ date: day, reason: req.body.reason || "" });
+    console.log("Grace day declared:", day);
+
+    // Streaks over a day that has already passed were broken at rollover
+    let streaksRestored = null;
+    if (day < getLatestPuzzleDay()) {
+      streaksRestored = await restoreStreaksForGraceDay(day);
+      console.log("Streaks rebuilt for late grace day:", { day, ...streaksRestored });
+    }
+
+    res.status(201).json({ ...graceDay.toObject(), streaksRestored });
+  } catch (error) {
+    console.error("Error creating grace day:", error);
+    res.status(500).json({ message: "Failed to create grace day" });
+  }
+};
+
+// Remove a grace day. Streaks already bridged by it are left as they are.
+exports.deleteGraceDay = async (req, res) => {
+  try {
+    const day = parsePuzzleDay(req.params.date);
+    if (!day) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    const graceDay = await GraceDay.findOneAndDelete({ date: day });
+    if (!graceDay) {
+      return res.status(404).json({ message: "No grace day found for this date" });
+    }
+
+    res.status(200).json({ message: "Grace day removed" });
+  } catch (error) {
+    console.error("Error deleting grace day:", error);
+    res.status(500).json({ message: "Failed to delete grace day" });
+  }
+};
+
+// Fool-rate analytics per pair, by image type and by style, for tuning AI prompts
+exports.getPairStats = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    for (const value of [from, to]) {
+      if (value !== undefined && !isValidDateString(value)) {
+        return res.status(400).json({ message: "Dates must be in YYYY-MM-DD format" });
+      }
+    }
+
+    const pairStats = await summarizePairStats({ from, to });
+    res.status(200).json({ from: from || null, to: to || null, ...pairStats });
+  } catch (error) {
+    console.error("Error fetching pair stats:", error);
+    res.status(500).json({ message: "Failed to fetch pair stats" });
+  }
+};
+
+// Check an achievement rule is complete and its period matches its metric
+const validateAchievementRule = (rule) => {
+  if (!rule || !rule.metric || typeof rule.threshold !== "number") {
+    return "Rule needs a metric and a numeric threshold";
+  }
+  if (Achievement.PERIOD_METRICS.includes(rule.metric) && !["week", "month"].includes(rule.period)) {
+    return "Period metrics need a period of week or month";
+  }
+  if (Achievement.STAT_METRICS.includes(rule.metric) && rule.period) {
+    return "Stat metrics do not take a period";
+  }
+  return null;
+};
+
+// List all achievements, including inactive ones
+exports.getAchievements = async (req, res) => {
+  try {
+    await seedDefaultAchievements();
+    const achievements = await Achievement.find().sort({ createdAt: 1 });
+    res.status(200).json({
+      achievements,
+      metrics: { stat: Achievement.STAT_METRICS, period: Achievement.PERIOD_METRICS }
+    });
+  } catch (error) {
+    console.error("Error fetching achievements:", error);
+    res.status(500).json({ message: "Failed to fetch achievements" });
+  }
+};
+
+// Define a new achievement. Run a recompute to award it from existing history.
+exports.createAchievement = async (req, res) => {
+  try {
+    const { key, name, description, icon, rule } = req.body;
+
+    if (!key || !name) {
+      return res.status(400).json({ message: "Key and name are required" });
+    }
+
+    const ruleError = validateAchievementRule(rule);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    if (await Achievement.exists({ key })) {
+      return res.status(409).json({ message: "An achievement with this key already exists" });
+    }
+
+    const achievement = await Achievement.create({ key, name, description, icon, rule });
+    console.log("Achievement created:", key);
+    res.status(201).json(achievement);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error creating achievement:", error);
+    res.status(500).json({ message: "Failed to create achievement" });
+  }
+};
+
+// Edit an achievement or switch it off. Badges already awarded are kept.
+exports.updateAchievement = async (req, res) => {
+  try {
+    const achievement = await Achievement.findOne({ key: req.params.key });
+    if (!achievement) {
+      return res.status(404).json({ message: "Achievement not found" });
+    }
+
+    const { name, description, icon, rule, active } = req.body;
+
+    if (rule !== undefined) {
+      const ruleError = validateAchievementRule(rule);
+      if (ruleError) {
+        return res.status(400).json({ message: ruleError });
+      }
+      achievement.rule = rule;
+    }
+    if (name !== undefined) achievement.name = name;
+    if (description !== undefined) achievement.description = description;
+    if (icon !== undefined) achievement.icon = icon;
+    if (active !== undefined) achievement.active = !!active;
+
+    await achievement.save();
+    res.status(200).json(achievement);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating achievement:", error);
+    res.status(500).json({ message: "Failed to update achievement" });
+  }
+};
+
+// Award achievements retroactively from every user's stats and history, and take
+// back perfect-day badges their history does not support
+exports.recomputeAchievements = async (req, res) => {
+  try {
+    const summary = await recomputeAllAchievements();
+    console.log("Achievements recomputed:", summary);
+    res.status(200).json(summary);
+  } catch (error) {
+    console.error("Error recomputing achievements:", error);
+    res.status(500).json({ message: "Failed to recompute achievements" });
+  }
+};
+
+// Recompute a user's stats (or everyone's) from recorded daily results.
+// Reports differences only, unless apply is true. Users who played before
+// results were recorded are flagged and never changed.
+exports.rebuildStats = async (req, res) => {
+  try {
+    const { userId, email, all } = req.body;
+    const apply = req.body.apply === true;
+
+    if (all === true) {
+      const summary = await rebuildAllStats({ apply });
+      console.log("Stats rebuild for all users:", {
+        apply,
+        checked: summary.checked,
+        mismatched: summary.mismatched,
+        incompleteHistory: summary.incompleteHistory
+      });
+      return res.status(200).json({ apply, ...summary });
+    }
+
+    let targetId = userId;
+    if (!targetId && typeof email === "string") {
+      const user = await User.findOne({ email: email.trim() }, { _id: 1 }).lean();
+      targetId = user?._id;
+    }
+
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: "A valid userId or email is required" });
+    }
+
+    const report = await rebuildUserStats(targetId, { apply });
+    if (!report) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({ apply, ...report });
+  } catch (error) {
+    console.error("Error rebuilding stats:", error);
+    res.status(500).json({ message: "Failed to rebuild stats" });
+  }
+};
+
+// Upcoming days with their publishing status, and what happens if one is not approved in time
+exports.getPublishingSchedule = async (req, res) => {
+  try {
+    const from = req.query.from ? parsePuzzleDay(req.query.from) : getLatestPuzzleDay();
+    const to = req.query.to ? parsePuzzleDay(req.query.to) : addDays(from, 13);
+
+    if (!from || !to || from > to) {
+      return res.status(400).json({ message: "A valid date range is required" });
+    }
+
+    const days = await listPublishingSchedule(from, to);
+    res.status(200).json({ fallback: getUnapprovedDayFallback(), days });
+  } catch (error) {
+    console.error("Error fetching publishing schedule:", error);
+    res.status(500).json({ message: "Failed to fetch publishing schedule" });
+  }
+};
+
+// Approve a day so the rollover publishes it when the day starts
+exports.approveDay = async (req, res) => {
+  try {
+    const day = parsePuzzleDay(req.params.date);
+    if (!day) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    const puzzle = await ImagePairCollection.findOne({ scheduledDate: scheduledDateFilter(day) }, { status: 1, pairs: 1 });
+    if (!puzzle || !puzzle.pairs.length) {
+      return res.status(404).json({ message: "No image pairs found for this date" });
+    }
+    if (puzzle.status === "live") {
+      return res.status(409).json({ message: "This day is already live" });
+    }
+    if (puzzle.pairs.some(pair => pair.review?.status !== "approved")) {
+      return res.status(409).json({ message: "Every pair must be approved in the review queue first" });
+    }
+
+    await ImagePairCollection.updateOne({ _id: puzzle._id }, { $set: { status: "approved", updatedAt: new Date() } });
+    console.log("Day approved:", day);
+
+    // A day approved after it started goes live straight away
+    if (day <= getLatestPuzzleDay()) {
+      await publishDueDays();
+    }
+
+    const { status } = await ImagePairCollection.findById(puzzle._id, { status: 1 }).lean();
+    res.status(200).json({ date: day, status });
+  } catch (error) {
+    console.error("Error approving day:", error);
+    res.status(500).json({ message: "Failed to approve day" });
+  }
+};
+
+// Withdraw approval from a day that has not gone live yet
+exports.unapproveDay = async (req, res) => {
+  try {
+    const day = parsePuzzleDay(req.params.date);
+    if (!day) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    const puzzle = await ImagePairCollection.findOneAndUpdate(
+      { scheduledDate: scheduledDateFilter(day), status: "approved" },
+      { $set: { status: "pending", updatedAt: new Date() } },
+      { new: true, projection: { status: 1 } }
+    );
+    if (!puzzle) {
+      return res.status(409).json({ message: "Only approved days that are not live yet can be unapproved" });
+    }
+
+    console.log("Day approval withdrawn:", day);
+    res.status(200).json({ date: day, status: puzzle.status });
+  } catch (error) {
+    console.error("Error unapproving day:", error);
+    res.status(500).json({ message: "Failed to unapprove day" });
+  }
+};
+
+// Pairs on upcoming days that nobody has signed off yet
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const from = req.query.from ? parsePuzzleDay(req.query.from) : getLatestPuzzleDay();
+    if (!from) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    const days = await listReviewQueue(from);
+    res.status(200).json({ reasonCodes: PairReview.REASON_CODES, days });
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    res.status(500).json({ message: "Failed to fetch review queue" });
+  }
+};
+
+// Approve or reject a pair, recording who reviewed it and why
+exports.reviewPair = async (req, res) => {
+  try {
+    const { pairId } = req.params;
+    const { action, notes = "", reasonCodes = [] } = req.body;
+    const reviewer = req.user.email;
+
+    // Tokens issued before reviews existed carry no email
+    if (!reviewer) {
+      return res.status(401).json({ message: "Please log in again to review pairs" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(pairId)) {
+      return res.status(400).json({ message: "A valid pair id is required" });
+    }
+    if (!["approve", "reject"].includes(action)) {
+      return res.status(400).json({ message: "Action must be approve or reject" });
+    }
+    if (typeof notes !== "string" || !Array.isArray(reasonCodes)
+      || reasonCodes.some(code => !PairReview.REASON_CODES[code])) {
+      return res.status(400).json({ message: "Notes must be text and reason codes must be known codes" });
+    }
+
+    const { error, review } = await reviewPair({ pairId, action, reviewer, notes: notes.trim(), reasonCodes });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.status(200).json(review);
+  } catch (error) {
+    console.error("Error reviewing pair:", error);
+    res.status(500).json({ message: "Failed to review pair" });
+  }
+};
+
+// Review history, filtered by action, reason code, reviewer or day range
+exports.getPairReviews = async (req, res) => {
+  try {
+    const { action, reasonCode, reviewer, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    for (const value of [from, to]) {
+      if (value !== undefined && !isValidDateString(value)) {
+        return res.status(400).json({ message: "Dates must be in YYYY-MM-DD format" });
+      }
+    }
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (reasonCode) filter.reasonCodes = reasonCode;
+    if (reviewer) filter.reviewer = reviewer;
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to) filter.date.$lte = to;
+    }
+
+    const [reviews, rejections] = await Promise.all([
+      PairReview.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+      summarizeRejections({ from, to }),
+    ]);
+
+    res.status(200).json({ rejections, reviews });
+  } catch (error) {
+    console.error("Error fetching pair reviews:", error);
+    res.status(500).json({ message: "Failed to fetch pair reviews" });
+  }
+};
@@ -3,6 +3,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Stats = require('../models/Stats'); // Assuming Stats is a model for user statistics
 const sendEmail = require('../utils/emailService');
+const { GUEST_TOKEN_HEADER, mergeGuestIntoUser } = require('../utils/guestUtils');
+const { signUserToken, normalizeEmail, findUserByEmail } = require('../utils/userUtils');
 require('dotenv').config();
 
 const otpStore = {};
@@ -10,6 +12,17 @@ const otpStore = {};
 // Function to generate a 6-digit OTP
 const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
 
+// Merge the guest progress sent with a register or login request. A failed merge
+// is logged rather than blocking the user from signing in.
+const mergeGuestProgress = async (req, userId) => {
+  try {
+    return await mergeGuestIntoUser(req.header(GUEST_TOKEN_HEADER) || req.body.guestToken, userId);
+  } catch (error) {
+    console.error('Guest merge error:', error);
+    return null;
+  }
+};
+
 // Middleware for authenticating JWT and attaching user to the request
 exports.authenticate = (req, res, next) => {
   const token = req.header('Authorization')?.split(' ')[1];
@@ -29,7 +42,7 @@ exports.authenticate = (req, res, next) => {
 exports.emailCheck = async (req, res) => {
   const { email } = req.body;
   try {
-    const existingUser = await User.findOne({ email });
+    const existingUser = await findUserByEmail(email);
     if (existingUser) {
       return res.status(200).json({ message: 'Email exists, please enter your password', requiresPassword: true });
     }
@@ -90,7 +103,7 @@ exports.registerUser = async (req, res) => {
     }
 
     // Check if email is already registered
-    const existingUser = await User.findOne({ email });
+    const existingUser = await findUserByEmail(email);
     if (existingUser) {
       return res.status(400).json({ message: 'Email already in use' });
     }
@@ -99,7 +112,7 @@ exports.registerUser = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create new user
-    const newUser = new User({ email, password: hashedPassword, firstName, lastName });
+    const newUser = new User({ email: normalizeEmail(email), password: hashedPassword, firstName, lastName });
     await newUser.save();
 
     // Initialize user stats upon registration
@@ -114,8 +127,11 @@ exports.registerUser = async (req, res) => {
     });
     await userStats.save();
 
+    // Fold any guest history and streak into the new stats
+    const guestMerge = await mergeGuestProgress(req, newUser._id);
+
     // Generate a JWT
-    const token = jwt.sign({ userId: newUser._id }, process.env.JWT_SECRET);
+    const token = signUserToken(newUser);
 
     // Include userId in the response
     res.status(201).json({
@@ -125,7 +141,8 @@ exports.registerUser = async (req, res) => {
         firstName: newUser.firstName,
         lastName: newUser.lastName,
         userId: newUser._id // Include userId
-      }
+      },
+      guestMerged: !!guestMerge
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -141,13 +158,20 @@ exports.loginUser = async (req, res) => {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ message: 'Email and password are required' });
 
-    const user = await User.findOne({ email });
+    const user = await findUserByEmail(email);
     if (!user || !(await bcrypt.compare(password, user.password))) {
       return res.status(400).json({ message: 'Invalid email or password' });
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
-    res.status(200).json({ token, user: { email: user.email, firstName: user.firstName, lastName: user.lastName, userId: user._id } });
+    // Fold any guest history and streak into the existing stats
+    const guestMerge = await mergeGuestProgress(req, user._id);
+
+    const token = signUserToken(user);
+    res.status(200).json({
+      token,
+      user: { email: user.email, firstName: user.firstName, lastName: user.lastName, userId: user._id },
+      guestMerged: !!guestMerge
+    });
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({ message: 'Server error' });
@@ -212,7 +236,7 @@ exports.forgotPassword = async (req, res) => {
   const { email } = req.body;
 
   try {
-    const user = await User.findOne({ email });
+    const user = await findUserByEmail(email);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -253,7 +277,7 @@ exports.resetPassword = async (req, res) => {
   const { email, newPassword } = req.body;
 
   try {
-    const user = await User.findOne({ email });
+    const user = await findUserByEmail(email);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -0,0 +1,232 @@
+const User = require('../models/User');
+const Stats = require('../models/Stats');
+const GameResult = require('../models/GameResult');
+const Friendship = require('../models/Friendship');
+const { getPlayerPuzzleDay } = require('../utils/puzzleCalendar');
+const { getDisplayName } = require('../utils/leaderboardUtils');
+const { buildShareCard } = require('../utils/statsUtils');
+const { normalizeInviteCode, ensureInviteCode, findFriendship, findFriendIds } = require('../utils/friendUtils');
+const { findUserByEmail } = require('../utils/userUtils');
+
+// Shape a pending request for the client, without exposing emails
+const formatFriendRequest = (friendship, otherUser) => ({
+  requestId: friendship._id,
+  userId: otherUser._id,
+  displayName: getDisplayName(otherUser),
+  sentAt: friendship.createdAt,
+});
+
+// Get the player's invite code, creating it on first use
+exports.getInviteCode = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const inviteCode = await ensureInviteCode(user);
+    res.status(200).json({ inviteCode });
+  } catch (error) {
+    console.error('Error fetching invite code:', error);
+    res.status(500).json({ message: 'Failed to fetch invite code.' });
+  }
+};
+
+// Sent for a request by email whether or not the email has an account, so the
+// endpoint cannot be used to find out who has signed up
+const EMAIL_REQUEST_SENT = { message: 'Friend request sent.', status: 'pending' };
+
+// Send a friend request by email or invite code
+exports.sendFriendRequest = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { email } = req.body;
+    const inviteCode = normalizeInviteCode(req.body.inviteCode);
+
+    if (!email && !inviteCode) {
+      return res.status(400).json({ message: 'An email or invite code is required.' });
+    }
+
+    const recipient = inviteCode
+      ? await User.findOne({ inviteCode })
+      : await findUserByEmail(email);
+
+    if (!recipient && !inviteCode) {
+      return res.status(201).json(EMAIL_REQUEST_SENT);
+    }
+
+    if (!recipient) {
+      return res.status(404).json({ message: 'No player found with that invite code.' });
+    }
+
+    if (String(recipient._id) === String(userId)) {
+      return res.status(400).json({ message: 'You cannot add yourself as a friend.' });
+    }
+
+    const existing = await findFriendship(userId, recipient._id);
+
+    if (existing?.status === 'accepted') {
+      return res.status(409).json({ message: 'You are already friends.' });
+    }
+
+    // They already asked us, so asking them back accepts their request
+    if (existing?.status === 'pending' && String(existing.recipient) === String(userId)) {
+      existing.status = 'accepted';
+      existing.respondedAt = new Date();
+      await existing.save();
+      return res.status(200).json({ message: 'Friend request accepted.', status: existing.status });
+    }
+
+    if (existing?.status === 'pending') {
+      return res.status(409).json({ message: 'Friend request already sent.' });
+    }
+
+    // A declined request can be sent again, reusing the same record
+    let friendship = existing;
+    if (friendship) {
+      friendship.requester = userId;
+      friendship.recipient = recipient._id;
+      friendship.status = 'pending';
+      friendship.respondedAt = null;
+      await friendship.save();
+    } else {
+      friendship = await Friendship.create({ requester: userId, recipient: recipient._id });
+    }
+
+    console.log('Friend request sent:', { requester: userId, recipient: recipient._id });
+    if (!inviteCode) {
+      return res.status(201).json(EMAIL_REQUEST_SENT);
+    }
+    res.status(201).json({ message: 'Friend request sent.', requestId: friendship._id, status: friendship.status });
+  } catch (error) {
+    console.error('Error sending friend request:', error);
+    res.status(500).json({ message: 'Failed to send friend request.' });
+  }
+};
+
+// List pending requests the player has received and sent
+exports.getFriendRequests = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const [incoming, outgoing] = await Promise.all([
+      Friendship.find({ recipient: userId, status: 'pending' }).populate('requester', 'displayName firstName lastName'),
+      Friendship.find({ requester: userId, status: 'pending' }).populate('recipient', 'displayName firstName lastName'),
+    ]);
+
+    res.status(200).json({
+      incoming: incoming.filter(request => request.requester).map(request => formatFriendRequest(request, request.requester)),
+      outgoing: outgoing.filter(request => request.recipient).map(request => formatFriendRequest(request, request.recipient)),
+    });
+  } catch (error) {
+    console.error('Error fetching friend requests:', error);
+    res.status(500).json({ message: 'Failed to fetch friend requests.' });
+  }
+};
+
+// Accept or decline a request the player has received
+exports.respondToFriendRequest = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { requestId } = req.params;
+    const { action } = req.body;
+
+    if (!['accept', 'decline'].includes(action)) {
+      return res.status(400).json({ message: 'Action must be accept or decline.' });
+    }
+
+    const friendship = await Friendship.findOne({ _id: requestId, recipient: userId, status: 'pending' })
+      .catch(() => null);
+
+    if (!friendship) {
+      return res.status(404).json({ message: 'Friend request not found.' });
+    }
+
+    friendship.status = action === 'accept' ? 'accepted' : 'declined';
+    friendship.respondedAt = new Date();
+    await friendship.save();
+
+    res.status(200).json({ message: `Friend request ${friendship.status}.`, status: friendship.status });
+  } catch (error) {
+    console.error('Error responding to friend request:', error);
+    res.status(500).json({ message: 'Failed to respond to friend request.' });
+  }
+};
+
+// Remove a friend, or cancel a request the player sent
+exports.removeFriend = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { friendId } = req.params;
+
+    const friendship = await findFriendship(userId, friendId).catch(() => null);
+
+    if (!friendship || friendship.status === 'declined') {
+      return res.status(404).json({ message: 'Friend not found.' });
+    }
+
+    await Friendship.deleteOne({ _id: friendship._id });
+    res.status(200).json({ message: 'Friend removed.' });
+  } catch (error) {
+    console.error('Error removing friend:', error);
+    res.status(500).json({ message: 'Failed to remove friend.' });
+  }
+};
+
+// Friends-only view of today's results and streaks, including the player.
+// Friends' grids stay hidden until the player has finished today's puzzle.
+exports.getFriendsToday = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    const friendIds = await findFriendIds(userId);
+    const playerIds = [userId, ...friendIds];
+
+    const [users, stats, results] = await Promise.all([
+      User.find({ _id: { $in: playerIds } }, { displayName: 1, firstName: 1, lastName: 1 }).lean(),
+      Stats.find({ userId: { $in: playerIds } }, { userId: 1, currentStreak: 1, maxStreak: 1, lastPlayedDate: 1 }).lean(),
+      GameResult.find({ userId: { $in: playerIds }, date: today, mode: 'daily', completedAt: { $ne: null } }).lean(),
+    ]);
+
+    const statsByUser = new Map(stats.map(entry => [String(entry.userId), entry]));
+    const resultsByUser = new Map(results.map(result => [String(result.userId), result]));
+    const hasFinishedToday = resultsByUser.has(String(userId));
+
+    const friends = users.map(user => {
+      const userStats = statsByUser.get(String(user._id));
+      const result = resultsByUser.get(String(user._id));
+
+      return {
+        userId: user._id,
+        displayName: getDisplayName(user),
+        isYou: String(user._id) === String(userId),
+        currentStreak: userStats?.currentStreak || 0,
+        maxStreak: userStats?.maxStreak || 0,
+        playedToday: !!result,
+        today: result
+          ? {
+            isPerfect: result.isPerfect,
+            attemptsUsed: result.attemptsUsed,
+            mistakes: result.mistakes,
+            completionTimeMs: result.completionTimeMs,
+            grid: hasFinishedToday ? buildShareCard({ puzzleNumber: null, result, currentStreak: 0 }).grid : null,
+          }
+          : null,
+      };
+    });
+
+    // Finished players first, fewest mistakes and attempts first, then by streak
+    friends.sort((a, b) =>
+      (b.playedToday - a.playedToday)
+      || ((a.today?.mistakes ?? 0) - (b.today?.mistakes ?? 0))
+      || ((a.today?.attemptsUsed ?? 0) - (b.today?.attemptsUsed ?? 0))
+      || (b.currentStreak - a.currentStreak)
+    );
+
+    res.status(200).json({ date: today, hasFinishedToday, friends });
+  } catch (error) {
+    console.error("Error fetching friends' results:", error);
+    res.status(500).json({ message: "Failed to fetch friends' results." });
+  }
+};
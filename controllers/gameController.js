@@ -1,35 +1,115 @@
-const User = require('../models/User');
-const ImagePair = require('../models/ImagePair');
 const Stats = require('../models/Stats');
-const { getTodayInEST, getYesterdayInEST } = require('../utils/dateUtils');
-const mongoose = require('mongoose');
+const GameResult = require('../models/GameResult');
+const GuestSession = require('../models/GuestSession');
+const { isValidDateString } = require('../utils/dateUtils');
+const { getPlayerPuzzleDay } = require('../utils/puzzleCalendar');
+const { getEarliestPuzzleDay } = require('../utils/publishUtils');
+const {
+  SLOTS,
+  findPuzzleForDate,
+  listArchiveDays,
+  getPuzzleNumber,
+  toPublicPairs,
+  toPublicDayDetails,
+  toRevealPairs,
+  isValidSelections,
+  gradeSelections,
+} = require('../utils/puzzleUtils');
+const {
+  MAX_TRIES,
+  createStats,
+  findGraceDaysBetween,
+  applyGameResult,
+  applyAnswerTimes,
+  applyFastestPerfect,
+  recordGameResult,
+  claimArchiveAttempt,
+  recordArchiveAttempt,
+  buildShareCard,
+} = require('../utils/statsUtils');
+const { recordPairGuesses } = require('../utils/pairStatsUtils');
+const { evaluateAchievements } = require('../utils/achievementUtils');
+const {
+  loadGameState,
+  updateClientState,
+  claimStateVersion,
+  syncGameState,
+  validateClientState,
+  formatGameState,
+} = require('../utils/gameStateUtils');
+const { rollOverDayState } = require('../utils/rolloverUtils');
+const { GUEST_TOKEN_HEADER, verifyGuestToken, signGuestToken, createGuestSession } = require('../utils/guestUtils');
 
 // Dynamically select collection name based on environment
 const collectionName = process.env.NODE_ENV === "staging" ? "staging_imagePairs" : "imagePairs";
-const ImagePairCollection = mongoose.model(collectionName, ImagePair.schema);
 
-// Get today's puzzle pairs
+/**
+ * Load the daily game state for whoever is playing: a signed-in user's Stats
+ * or a guest's GuestSession. Both carry the same daily and streak fields.
+ * The state is rolled over to the player's current day if the rollover job
+ * has not reached it yet.
+ * @param {Object} req Express request with req.user or req.guest attached
+ * @returns {Promise<Object|null>} { state, owner } or null for an anonymous request
+ */
+const loadPlayerState = async (req) => {
+  let player = null;
+
+  if (req.user?.userId) {
+    const { userId } = req.user;
+    const stats = await Stats.findOne({ userId });
+    player = { state: stats || createStats(userId), owner: { userId } };
+  } else if (req.guest?.guestId) {
+    const { guestId } = req.guest;
+    const session = await GuestSession.findOne({ guestId, mergedInto: null });
+    player = session ? { state: session, owner: { guestId } } : null;
+  }
+
+  if (player) {
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+    const rolledOver = await rollOverDayState(player.state, player.owner, today);
+    if (rolledOver && !player.state.isNew) {
+      await player.state.save();
+    }
+  }
+
+  return player;
+};
+
+// Issue a signed guest token, or hand back the caller's token if it is still valid
+exports.startGuestSession = async (req, res) => {
+  try {
+    const existingToken = req.header(GUEST_TOKEN_HEADER);
+    const existingGuestId = verifyGuestToken(existingToken);
+
+    if (existingGuestId && await GuestSession.exists({ guestId: existingGuestId, mergedInto: null })) {
+      return res.status(200).json({ guestToken: signGuestToken(existingGuestId) });
+    }
+
+    const { guestId, token } = await createGuestSession();
+    console.log('Guest session started:', guestId);
+    res.status(201).json({ guestToken: token });
+  } catch (error) {
+    console.error('Error starting guest session:', error);
+    res.status(500).json({ message: 'Failed to start guest session.' });
+  }
+};
+
+// Get today's puzzle pairs. The whole set is only served to a player, and not
+// while they have a timed attempt running; once it is served, timed mode is
+// closed for the day, since its answers could no longer be timed fairly.
 exports.getDailyPuzzle = async (req, res) => {
   try {
     console.log('Fetching daily puzzle from collection:', collectionName);
     
-    // Get current date in UTC and set to start/end of day EST
-    const startOfDay = new Date();
-    startOfDay.setUTCHours(5, 0, 0, 0); // 5 AM UTC = midnight EST
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
 
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setUTCHours(28, 59, 59, 999); // Next day 4:59:59 AM UTC = 11:59:59 PM EST
-
-    console.log('Searching for pairs between:', startOfDay.toISOString(), 'and', endOfDay.toISOString());
+    const player = await loadPlayerState(req);
+    if (!player) {
+      return res.status(401).json({ message: 'Log in or start a guest session to play.' });
+    }
 
     // Find today's pairs using date range
-    const todaysPairs = await ImagePairCollection.findOne({
-      scheduledDate: { 
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      'pairs.0': { $exists: true } // Ensure there are completed pairs
-    });
+    const todaysPairs = await findPuzzleForDate(today);
 
     console.log('Database query result:', todaysPairs ? 'Found document' : 'No document found');
     console.log('Number of pairs found:', todaysPairs?.pairs?.length || 0);
@@ -44,16 +124,36 @@ exports.getDailyPuzzle = async (req, res) => {
 
     console.log('Found pairs:', todaysPairs.pairs.length);
 
-    // Return only the image URLs, not the entire document
-    const puzzles = todaysPairs.pairs.map(pair => ({
-      humanImageURL: pair.humanImageURL,
-      aiImageURL: pair.aiImageURL
-    }));
+    const { state } = player;
+    if (state.isNew) {
+      state.puzzleStartedDate = today;
+      state.puzzleStartedAt = new Date();
+      state.fullSetServedDate = today;
+      await state.save();
+    } else {
+      // Checked in the update itself, and __v is bumped so a timed pair served
+      // at the same moment fails its own version check
+      const { matchedCount } = await state.constructor.updateOne(
+        { _id: state._id, $or: [{ timedPairsDate: { $ne: today } }, { timedPairs: { $size: 0 } }] },
+        { $set: { fullSetServedDate: today }, $inc: { __v: 1 } }
+      );
+      if (!matchedCount) {
+        return res.status(409).json({ message: 'Finish your timed attempt before viewing all of today\'s pairs.' });
+      }
+
+      // Remember when a player first saw today's puzzle, for completion times
+      await state.constructor.updateOne(
+        { _id: state._id, puzzleStartedDate: { $ne: today } },
+        { $set: { puzzleStartedDate: today, puzzleStartedAt: new Date() } }
+      );
+    }
+
+    // Return only the image URLs in shuffled slots, the answer key stays on the server
+    const puzzles = toPublicPairs(today, todaysPairs.pairs);
 
     console.log('Sending response with', puzzles.length, 'pairs');
-    console.log('Response data:', { imagePairs: puzzles });
 
-    res.json({ imagePairs: puzzles });
+    res.json({ date: today, ...toPublicDayDetails(todaysPairs), imagePairs: puzzles });
   } catch (error) {
     console.error('Error fetching daily puzzle:', error);
     res.status(500).json({ error: 'Failed to fetch daily puzzle' });
@@ -61,42 +161,25 @@ exports.getDailyPuzzle = async (req, res) => {
 };
 
 
-// Check if the user has played today
+// Check if the user or guest has played today
 exports.checkIfPlayedToday = async (req, res) => {
   try {
-    const todayInEST = getTodayInEST();
-
-    // ✅ If user is logged in, check database
-    if (req.user) {
-      const { userId } = req.user;
-      let stats = await Stats.findOne({ userId });
-
-      if (!stats) {
-        stats = new Stats({
-          userId,
-          triesRemaining: 3,
-          lastPlayedDate: todayInEST,
-        });
-        await stats.save();
-        return res.status(200).json({
-          hasPlayedToday: false,
-          triesRemaining: stats.triesRemaining,
-        });
-      }
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+    const player = await loadPlayerState(req);
 
-      return res.status(200).json({
-        hasPlayedToday: stats.lastPlayedDate === todayInEST,
-        triesRemaining: stats.triesRemaining,
-      });
+    // Without an account or guest session there is nothing recorded yet
+    if (!player) {
+      return res.status(200).json({ hasPlayedToday: false, triesRemaining: MAX_TRIES });
     }
 
-    // ✅ Guest logic (Use `localStorage` equivalent if needed)
-    const guestLastPlayed = req.cookies?.guestLastPlayed || null;
-    const hasPlayedToday = guestLastPlayed === todayInEST;
+    const { state } = player;
+    if (state.isNew) {
+      await state.save();
+    }
 
     return res.status(200).json({
-      hasPlayedToday,
-      triesRemaining: hasPlayedToday ? 0 : 3, // Guests reset tries daily
+      hasPlayedToday: state.lastPlayedDate === today,
+      triesRemaining: state.triesRemaining,
     });
   } catch (error) {
     console.error('Error checking if user has played today:', error);
@@ -105,51 +188,658 @@ exports.checkIfPlayedToday = async (req, res) => {
 };
 
 
-// Mark the user as played today
+/**
+ * Check that the player can make another daily attempt. The state has
+ * already been rolled over to today by loadPlayerState.
+ * @param {Object} stats Stats or GuestSession document
+ * @param {string} today Player's puzzle day as YYYY-MM-DD
+ * @returns {Object|null} { status, message } to reject with, or null if play can continue
+ */
+const prepareDailyAttempt = (stats, today) => {
+  if (stats.lastPlayedDate === today) {
+    return { status: 409, message: "You have already completed today's puzzle." };
+  }
+
+  // Moving to a time zone further west must not reopen a day that was already played
+  if ((stats.lastPlayedDate && stats.lastPlayedDate > today) || (stats.lastTriesMadeDate && stats.lastTriesMadeDate > today)) {
+    return { status: 409, message: 'Your time zone change takes effect with the next puzzle.' };
+  }
+
+  if (stats.triesRemaining <= 0) {
+    return { status: 409, message: 'No tries remaining for today.' };
+  }
+
+  return null;
+};
+
+// Sent when another tab or request changed the game first
+const STATE_CONFLICT = { status: 409, message: 'Your game changed somewhere else. Reload and try again.' };
+
+/**
+ * Save a player's Stats or GuestSession after claiming the game state version
+ * the request started from. The save is also checked against the document's
+ * own version, so of two requests that read the same state only one can spend
+ * a try or stamp a timed pair.
+ * @param {Object} stats Stats or GuestSession document with unsaved changes
+ * @param {Object} owner Player as { userId } or { guestId }
+ * @param {string} today Player's puzzle day as YYYY-MM-DD
+ * @param {number} version Game state version the request started from
+ * @returns {Promise<boolean>} Whether the write went through
+ */
+const saveClaimedState = async (stats, owner, today, version) => {
+  if (!await claimStateVersion(owner, today, version)) {
+    return false;
+  }
+
+  stats.increment();
+  try {
+    await stats.save();
+  } catch (error) {
+    // Another request saved first, or created the user's stats first
+    if (error.name === 'VersionError' || error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Grade one attempt at today's puzzle, update the player's state and record
+ * the result once the game is over
+ * @param {Object} params Attempt details
+ * @param {Object} params.stats Stats or GuestSession document, already checked by prepareDailyAttempt
+ * @param {Object} params.owner Player as { userId } or { guestId }
+ * @param {string} params.today Player's puzzle day as YYYY-MM-DD
+ * @param {Object} params.todaysPairs ImagePair document for today
+ * @param {Array<string>} params.selections Slot picked as human for each pair
+ * @param {number} params.version Game state version the request started from
+ * @param {Array<number>|null} [params.answerTimesMs] Per-pair answer times for a timed attempt
+ * @returns {Promise<Object>} Response body for the client, or { error } with { status, message }
+ *   if another request changed the game first
+ */
+const gradeDailyAttempt = async ({ stats, owner, today, todaysPairs, selections, version, answerTimesMs = null }) => {
+  const results = gradeSelections(today, todaysPairs.pairs, selections);
+  const correctAnswers = results.filter(Boolean).length;
+  const totalQuestions = results.length;
+
+  stats.triesRemaining -= 1;
+  stats.lastTriesMadeDate = today;
+  stats.attempts = [...stats.attempts, selections];
+  stats.attemptTimesMs = [...stats.attemptTimesMs, answerTimesMs || []];
+  stats.selections = selections;
+  stats.lastSelectionMadeDate = today;
+
+  // Any timed attempt in progress is replaced by this one
+  stats.timedPairs = [];
+  stats.timedPairsDate = null;
+
+  if (answerTimesMs) {
+    applyAnswerTimes(stats, answerTimesMs);
+  }
+
+  const isPerfectPuzzle = correctAnswers === totalQuestions;
+  const isComplete = isPerfectPuzzle || stats.triesRemaining === 0;
+
+  if (isComplete) {
+    const graceDays = await findGraceDaysBetween(stats.lastPlayedDate, today);
+    applyGameResult(stats, { correctAnswers, totalQuestions, today, graceDays });
+    if (isPerfectPuzzle) {
+      applyFastestPerfect(stats, stats.attemptTimesMs);
+    }
+    stats.completedAttempts = stats.attempts;
+    stats.completedSelections = selections;
+  }
+
+  if (!await saveClaimedState(stats, owner, today, version)) {
+    return { error: STATE_CONFLICT };
+  }
+
+  // Analytics only count daily plays, where every player sees the pair fresh.
+  // A failure here must not cost the player their guess.
+  try {
+    await recordPairGuesses({
+      date: today,
+      pairs: todaysPairs.pairs,
+      results,
+      isFirstTry: stats.attempts.length === 1,
+      answerTimesMs,
+    });
+  } catch (error) {
+    console.error('Error recording pair stats:', error);
+  }
+
+  const attemptResults = stats.attempts.map(attempt => gradeSelections(today, todaysPairs.pairs, attempt));
+  const state = await syncGameState(owner, today, stats, attemptResults);
+
+  if (isComplete) {
+    await recordGameResult({
+      owner,
+      date: today,
+      pairIds: todaysPairs.pairs.map(pair => pair._id),
+      attemptResults,
+      startedAt: stats.puzzleStartedDate === today ? stats.puzzleStartedAt : null,
+      answerTimesMs: stats.attemptTimesMs,
+    });
+  }
+
+  // Badges are for accounts only; a failure here must not cost the player their result
+  let newAchievements = [];
+  if (isComplete && owner.userId) {
+    try {
+      newAchievements = await evaluateAchievements(owner.userId, { stats, today });
+    } catch (error) {
+      console.error('Error evaluating achievements:', error);
+    }
+  }
+
+  console.log('Guess graded:', { ...owner, correctAnswers, totalQuestions, triesRemaining: stats.triesRemaining, isComplete });
+  return {
+    results,
+    correctAnswers,
+    totalQuestions,
+    triesRemaining: stats.triesRemaining,
+    isComplete,
+    isPerfectPuzzle: isComplete && isPerfectPuzzle,
+    answerTimesMs: answerTimesMs || undefined,
+    stats: isComplete ? stats : undefined,
+    newAchievements: isComplete ? newAchievements : undefined,
+    state: formatGameState(state),
+  };
+};
+
+/**
+ * Load today's puzzle and the player's state, ready for another attempt
+ * @param {Object} req Express request with req.user or req.guest attached
+ * @param {string} today Player's puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object>} { error } with { status, message }, or { todaysPairs, stats, owner, version }
+ *   where version is the game state version to claim before saving
+ */
+const loadDailyAttempt = async (req, today) => {
+  const todaysPairs = await findPuzzleForDate(today);
+  if (!todaysPairs || !todaysPairs.pairs.length) {
+    return { error: { status: 404, message: 'No puzzles available for today.' } };
+  }
+
+  const player = await loadPlayerState(req);
+  if (!player) {
+    return { error: { status: 401, message: 'Log in or start a guest session to play.' } };
+  }
+
+  const error = prepareDailyAttempt(player.state, today);
+  if (error) {
+    return { error };
+  }
+
+  const { version } = await loadGameState(player.owner, today);
+  return { todaysPairs, stats: player.state, owner: player.owner, version };
+};
+
+// Grade a set of guesses for today's puzzle and record the result
+exports.submitGuess = async (req, res) => {
+  try {
+    const { selections, date } = req.body;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    // Reject guesses made against a puzzle that has since rolled over
+    if (date && date !== today) {
+      return res.status(409).json({ message: 'The daily puzzle has changed. Please reload.' });
+    }
+
+    const { error, todaysPairs, stats, owner, version } = await loadDailyAttempt(req, today);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!isValidSelections(selections, todaysPairs.pairs.length)) {
+      return res.status(400).json({ message: 'Selections must contain left or right for every pair.' });
+    }
+
+    const response = await gradeDailyAttempt({ stats, owner, today, todaysPairs, selections, version });
+    if (response.error) {
+      return res.status(response.error.status).json({ message: response.error.message });
+    }
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error submitting guess:', error);
+    res.status(500).json({ message: 'Failed to submit guess.' });
+  }
+};
+
+// Fetch the player's versioned state for today's puzzle
+exports.getGameState = async (req, res) => {
+  try {
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    const player = await loadPlayerState(req);
+    if (!player) {
+      return res.status(401).json({ message: 'Log in or start a guest session to play.' });
+    }
+
+    const { state: stats, owner } = player;
+    let state = await loadGameState(owner, today);
+
+    // Pick up attempts graded before this state document existed
+    if (state.version === 0 && stats.lastTriesMadeDate === today && stats.attempts.length) {
+      const todaysPairs = await findPuzzleForDate(today);
+      const attemptResults = todaysPairs
+        ? stats.attempts.map(attempt => gradeSelections(today, todaysPairs.pairs, attempt))
+        : [];
+      state = await syncGameState(owner, today, stats, attemptResults);
+    }
+
+    res.status(200).json(formatGameState(state));
+  } catch (error) {
+    console.error('Error fetching game state:', error);
+    res.status(500).json({ message: 'Failed to fetch game state.' });
+  }
+};
+
+// Update today's state. The client sends the version it last read; a stale
+// version gets 409 with the current state. An attempt, if included, is graded
+// after the client fields are saved.
+exports.updateGameState = async (req, res) => {
+  try {
+    const { version, selections, alreadyGuessed, attempt } = req.body;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ message: 'The state version you last read is required.' });
+    }
+
+    const { error, todaysPairs, stats, owner } = await loadDailyAttempt(req, today);
+    if (error) {
+      // Send the current state with a rejected transition, e.g. after completion
+      let current = null;
+      if (error.status === 409) {
+        const player = await loadPlayerState(req);
+        current = player ? await loadGameState(player.owner, today) : null;
+      }
+      return res.status(error.status).json({ message: error.message, state: current ? formatGameState(current) : undefined });
+    }
+
+    const changes = {};
+    if (selections !== undefined) changes.selections = selections;
+    if (alreadyGuessed !== undefined) changes.alreadyGuessed = alreadyGuessed;
+
+    const validationError = validateClientState(changes, todaysPairs.pairs.length);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (attempt !== undefined && !isValidSelections(attempt, todaysPairs.pairs.length)) {
+      return res.status(400).json({ message: 'Attempt must contain left or right for every pair.' });
+    }
+
+    // Claim the version even when only an attempt is sent, so two tabs cannot
+    // both submit against the same state
+    await loadGameState(owner, today);
+    const state = await updateClientState(owner, today, version, changes);
+    if (!state) {
+      const current = await loadGameState(owner, today);
+      return res.status(STATE_CONFLICT.status).json({
+        message: STATE_CONFLICT.message,
+        state: formatGameState(current),
+      });
+    }
+
+    if (attempt === undefined) {
+      return res.status(200).json({ state: formatGameState(state) });
+    }
+
+    const result = await gradeDailyAttempt({ stats, owner, today, todaysPairs, selections: attempt, version: state.version });
+    if (result.error) {
+      const current = await loadGameState(owner, today);
+      return res.status(result.error.status).json({ message: result.error.message, state: formatGameState(current) });
+    }
+    const { state: gradedState, ...attemptResult } = result;
+    res.status(200).json({ state: gradedState, result: attemptResult });
+  } catch (error) {
+    console.error('Error updating game state:', error);
+    res.status(500).json({ message: 'Failed to update game state.' });
+  }
+};
+
+// Timed mode: serve the next pair of the current attempt and stamp when it went
+// out. Asking again before answering returns the same pair with its original stamp.
+exports.getNextTimedPair = async (req, res) => {
+  try {
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    const { error, todaysPairs, stats, owner, version } = await loadDailyAttempt(req, today);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // A player who has seen every pair could answer them all instantly
+    if (stats.fullSetServedDate === today) {
+      return res.status(409).json({ message: 'Timed mode is only available before all of today\'s pairs have been shown.' });
+    }
+
+    if (stats.timedPairsDate !== today) {
+      stats.timedPairs = [];
+      stats.timedPairsDate = today;
+    }
+
+    const lastServed = stats.timedPairs[stats.timedPairs.length - 1];
+    if (!lastServed || lastServed.answeredAt) {
+      // The first timed pair starts the clock for completion times, as the whole set does
+      if (stats.puzzleStartedDate !== today) {
+        stats.puzzleStartedDate = today;
+        stats.puzzleStartedAt = new Date();
+      }
+      stats.timedPairs.push({ servedAt: new Date() });
+      if (!await saveClaimedState(stats, owner, today, version)) {
+        return res.status(STATE_CONFLICT.status).json({ message: STATE_CONFLICT.message });
+      }
+    }
+
+    const pairIndex = stats.timedPairs.length - 1;
+    const publicPair = toPublicPairs(today, [todaysPairs.pairs[pairIndex]])[0];
+
+    res.status(200).json({
+      date: today,
+      ...publicPair,
+      pairIndex,
+      totalPairs: todaysPairs.pairs.length,
+      servedAt: stats.timedPairs[pairIndex].servedAt,
+    });
+  } catch (error) {
+    console.error('Error serving timed pair:', error);
+    res.status(500).json({ message: 'Failed to serve timed pair.' });
+  }
+};
+
+// Timed mode: stamp the answer to the pair being shown. The attempt is graded
+// once every pair has been answered.
+exports.submitTimedAnswer = async (req, res) => {
+  try {
+    const { pairIndex, selection } = req.body;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+    const answeredAt = new Date();
+
+    const { error, todaysPairs, stats, owner, version } = await loadDailyAttempt(req, today);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const currentIndex = stats.timedPairs.length - 1;
+    const current = stats.timedPairs[currentIndex];
+
+    if (stats.timedPairsDate !== today || !current || current.answeredAt) {
+      return res.status(409).json({ message: 'Request the next pair before answering.' });
+    }
+
+    if (pairIndex !== currentIndex) {
+      return res.status(409).json({ message: `Pair ${currentIndex} is the one being timed.` });
+    }
+
+    if (!SLOTS.includes(selection)) {
+      return res.status(400).json({ message: 'Selection must be left or right.' });
+    }
+
+    current.answeredAt = answeredAt;
+    current.selection = selection;
+    const answerTimeMs = answeredAt - current.servedAt;
+
+    if (stats.timedPairs.length < todaysPairs.pairs.length) {
+      if (!await saveClaimedState(stats, owner, today, version)) {
+        return res.status(STATE_CONFLICT.status).json({ message: STATE_CONFLICT.message });
+      }
+      return res.status(200).json({
+        pairIndex,
+        answerTimeMs,
+        answeredCount: stats.timedPairs.length,
+        totalPairs: todaysPairs.pairs.length,
+      });
+    }
+
+    const response = await gradeDailyAttempt({
+      stats,
+      owner,
+      today,
+      todaysPairs,
+      selections: stats.timedPairs.map(pair => pair.selection),
+      version,
+      answerTimesMs: stats.timedPairs.map(pair => pair.answeredAt - pair.servedAt),
+    });
+    if (response.error) {
+      return res.status(response.error.status).json({ message: response.error.message });
+    }
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error submitting timed answer:', error);
+    res.status(500).json({ message: 'Failed to submit timed answer.' });
+  }
+};
+
+// Summarise an archive play for the client
+const formatArchiveProgress = (result) => ({
+  attemptResults: result?.attemptResults || [],
+  triesRemaining: MAX_TRIES - (result?.attemptsUsed || 0),
+  isComplete: !!result?.completedAt,
+  isPerfectPuzzle: !!result?.isPerfect,
+});
+
+// Archive play grades every pair, so a day only joins the archive once it is
+// over in every time zone. Going by the player's own zone would let them switch
+// to a later zone and learn the answers to a day they can still play.
+const isArchiveDay = (date) => isValidDateString(date) && date < getEarliestPuzzleDay();
+
+const INVALID_ARCHIVE_DATE = 'Archive date must be a day that has ended in every time zone, in YYYY-MM-DD format.';
+
+// List past puzzle days that can be played from the archive
+exports.getArchive = async (req, res) => {
+  try {
+    const days = await listArchiveDays(getEarliestPuzzleDay());
+
+    // Signed-in players also see which days they have already finished
+    if (req.user?.userId && days.length) {
+      const results = await GameResult.find(
+        { userId: req.user.userId, date: { $in: days.map(day => day.date) } },
+        { date: 1, mode: 1, completedAt: 1 }
+      ).lean();
+
+      days.forEach(day => {
+        const played = results.filter(result => result.date === day.date);
+        day.completed = played.some(result => !!result.completedAt);
+        day.inProgress = !day.completed && played.length > 0;
+      });
+    }
+
+    res.status(200).json({ days });
+  } catch (error) {
+    console.error('Error fetching puzzle archive:', error);
+    res.status(500).json({ message: 'Failed to fetch puzzle archive.' });
+  }
+};
+
+// Serve a past day's pairs for archive play
+exports.getArchivePuzzle = async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!isArchiveDay(date)) {
+      return res.status(400).json({ message: INVALID_ARCHIVE_DATE });
+    }
+
+    const puzzle = await findPuzzleForDate(date);
+    if (!puzzle) {
+      return res.status(404).json({ message: 'No puzzle found for this date.' });
+    }
+
+    const result = req.user?.userId
+      ? await GameResult.findOne({ userId: req.user.userId, date, mode: 'archive' })
+      : null;
+
+    res.status(200).json({
+      date,
+      ...toPublicDayDetails(puzzle),
+      imagePairs: toPublicPairs(date, puzzle.pairs),
+      ...formatArchiveProgress(result),
+    });
+  } catch (error) {
+    console.error('Error fetching archive puzzle:', error);
+    res.status(500).json({ message: 'Failed to fetch archive puzzle.' });
+  }
+};
+
+// Grade a guess for an archive puzzle. Tracked on its own GameResult and never
+// touches the daily streaks or tries in Stats.
+exports.submitArchiveGuess = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { date } = req.params;
+    const { selections } = req.body;
+
+    if (!isArchiveDay(date)) {
+      return res.status(400).json({ message: INVALID_ARCHIVE_DATE });
+    }
+
+    const puzzle = await findPuzzleForDate(date);
+    if (!puzzle) {
+      return res.status(404).json({ message: 'No puzzle found for this date.' });
+    }
+
+    if (!isValidSelections(selections, puzzle.pairs.length)) {
+      return res.status(400).json({ message: 'Selections must contain left or right for every pair.' });
+    }
+
+    const claimed = await claimArchiveAttempt({ userId }, date);
+
+    if (!claimed) {
+      const existing = await GameResult.findOne({ userId, date, mode: 'archive' }, { completedAt: 1 }).lean();
+      if (existing?.completedAt) {
+        return res.status(409).json({ message: 'You have already completed this archive puzzle.' });
+      }
+      return res.status(409).json({ message: 'No tries remaining for this puzzle.' });
+    }
+
+    const results = gradeSelections(date, puzzle.pairs, selections);
+    const result = await recordArchiveAttempt(claimed, puzzle.pairs.map(pair => pair._id), results);
+
+    res.status(200).json({
+      results,
+      correctAnswers: results.filter(Boolean).length,
+      totalQuestions: results.length,
+      ...formatArchiveProgress(result),
+    });
+  } catch (error) {
+    console.error('Error submitting archive guess:', error);
+    res.status(500).json({ message: 'Failed to submit archive guess.' });
+  }
+};
+
+// Build a shareable result for a finished daily puzzle. The grid only shows
+// right and wrong per pair, so it gives nothing away about the answers.
+exports.getShareCard = async (req, res) => {
+  try {
+    const { date } = req.params;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    if (!isValidDateString(date) || date > today) {
+      return res.status(400).json({ message: 'Date must be today or a past day in YYYY-MM-DD format.' });
+    }
+
+    const player = await loadPlayerState(req);
+    if (!player) {
+      return res.status(401).json({ message: 'Log in or start a guest session to share results.' });
+    }
+
+    const result = await GameResult.findOne({ ...player.owner, date, mode: 'daily', completedAt: { $ne: null } });
+    if (!result) {
+      return res.status(404).json({ message: 'No finished game found for this date.' });
+    }
+
+    const puzzleNumber = await getPuzzleNumber(date);
+
+    res.status(200).json({
+      date,
+      puzzleNumber,
+      ...buildShareCard({ puzzleNumber, result, currentStreak: player.state.currentStreak }),
+    });
+  } catch (error) {
+    console.error('Error building share card:', error);
+    res.status(500).json({ message: 'Failed to build share card.' });
+  }
+};
+
+// Reveal which image was AI in each pair, with the prompt, an explanation and
+// artist credit. Only available once the player has finished that day.
+exports.getReveal = async (req, res) => {
+  try {
+    const { date } = req.params;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+
+    if (!isValidDateString(date) || date > today) {
+      return res.status(400).json({ message: 'Date must be today or a past day in YYYY-MM-DD format.' });
+    }
+
+    const player = await loadPlayerState(req);
+    if (!player) {
+      return res.status(401).json({ message: 'Log in or start a guest session to see the reveal.' });
+    }
+
+    // The daily game unlocks it, and so does an archive play once the day is in the archive
+    const modes = isArchiveDay(date) ? ['daily', 'archive'] : ['daily'];
+    const result = await GameResult.findOne({ ...player.owner, date, mode: { $in: modes }, completedAt: { $ne: null } })
+      .sort({ mode: 1 });
+    if (!result) {
+      return res.status(403).json({ message: 'Finish this puzzle to see the reveal.' });
+    }
+
+    const puzzle = await findPuzzleForDate(date);
+    if (!puzzle) {
+      return res.status(404).json({ message: 'No puzzle found for this date.' });
+    }
+
+    // Results are matched by pair id in case pairs were edited after the game
+    const resultsByPair = new Map(result.pairIds.map((pairId, index) => [String(pairId), result.pairResults[index]]));
+    const pairResults = puzzle.pairs.map(pair => resultsByPair.get(String(pair._id)));
+
+    res.status(200).json({
+      date,
+      isPerfect: result.isPerfect,
+      pairs: toRevealPairs(date, puzzle.pairs, pairResults),
+    });
+  } catch (error) {
+    console.error('Error building reveal:', error);
+    res.status(500).json({ message: 'Failed to load reveal.' });
+  }
+};
+
+// Confirm the user has completed today's puzzle. Streaks are updated when
+// the final guess is graded in submitGuess, so nothing is taken from the client.
 exports.markAsPlayedToday = async (req, res) => {
   console.log('markAsPlayedToday called');
   try {
     const { userId } = req.user;
-    const { isPerfectPuzzle } = req.body;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
 
-    const todayInEST = getTodayInEST();
-    const yesterdayInEST = getYesterdayInEST();
-
-    // Retrieve and update stats for the user
     const stats = await Stats.findOne({ userId });
 
     if (!stats) {
       return res.status(404).json({ message: 'Stats not found for this user.' });
     }
 
-    let currentStreak = stats.currentStreak || 0;
-    let perfectStreak = stats.perfectStreak || 0;
-
-    if (stats.lastPlayedDate === yesterdayInEST) {
-      // Increment streaks for consecutive days
-      currentStreak += 1;
-      if (isPerfectPuzzle) {
-        perfectStreak += 1;
-      } else {
-        perfectStreak = 0; // Reset perfect streak if not a perfect game
-      }
-    } else if (stats.lastPlayedDate !== todayInEST) {
-      // Reset streaks for non-consecutive play
-      currentStreak = 1;
-      perfectStreak = isPerfectPuzzle ? 1 : 0;
+    if (stats.lastPlayedDate !== today) {
+      return res.status(409).json({ message: "Today's puzzle has not been completed yet." });
     }
 
-    stats.lastPlayedDate = todayInEST;
-    stats.currentStreak = currentStreak;
-    stats.perfectStreak = perfectStreak;
+    // Usually awarded when the final guess was graded; this catches anything missed
+    const newAchievements = await evaluateAchievements(userId, { stats, today });
 
-    await stats.save();
-
-    console.log('Play status and streaks updated:', { currentStreak, perfectStreak });
-    res.status(200).json({ message: 'Play status and streaks updated successfully.' });
+    const { currentStreak, perfectStreak, streakFreezes } = stats;
+    console.log('Play status confirmed:', { currentStreak, perfectStreak, streakFreezes });
+    res.status(200).json({
+      message: 'Play status and streaks updated successfully.',
+      currentStreak,
+      perfectStreak,
+      streakFreezes,
+      newAchievements,
+    });
   } catch (error) {
     console.error('Error updating play status and streak:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
-
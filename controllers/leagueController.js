@@ -0,0 +1,275 @@
+const League = require('../models/League');
+const LeagueSeason = require('../models/LeagueSeason');
+const { getPuzzleDay } = require('../utils/puzzleCalendar');
+const { generateInviteCode, normalizeInviteCode } = require('../utils/friendUtils');
+const {
+  LEAGUE_CADENCES,
+  getSeasonStart,
+  getSeasonEnd,
+  getSeasonCadence,
+  computeStandings,
+  ensureCurrentSeason,
+} = require('../utils/leagueUtils');
+
+// Keeps standings quick to build and leagues private-sized
+const MAX_LEAGUE_MEMBERS = 100;
+
+// Leagues share one calendar so every member's season covers the same puzzles
+const getLeagueDay = () => getPuzzleDay();
+
+const isMember = (league, userId) => league.members.some(member => String(member.userId) === String(userId));
+
+// Load a league the player belongs to, rolled over to the current season
+const loadMemberLeague = async (leagueId, userId) => {
+  const league = await League.findById(leagueId).catch(() => null);
+  if (!league || !isMember(league, userId)) {
+    return null;
+  }
+  return ensureCurrentSeason(league, getLeagueDay());
+};
+
+// Summarise a league without its member list
+const formatLeague = (league, userId) => ({
+  leagueId: league._id,
+  name: league.name,
+  joinCode: league.joinCode,
+  cadence: league.cadence,
+  memberCount: league.members.length,
+  isOwner: String(league.owner) === String(userId),
+  season: {
+    cadence: getSeasonCadence(league),
+    seasonNumber: league.seasonNumber,
+    startDate: league.seasonStartDate,
+    endDate: league.seasonEndDate,
+  },
+});
+
+// Create a league with the player as owner and first member
+exports.createLeague = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { name, cadence = 'weekly' } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'League name is required.' });
+    }
+
+    if (!LEAGUE_CADENCES.includes(cadence)) {
+      return res.status(400).json({ message: `Cadence must be one of: ${LEAGUE_CADENCES.join(', ')}.` });
+    }
+
+    const seasonStartDate = getSeasonStart(getLeagueDay(), cadence);
+
+    // Retry on the rare collision with an existing join code
+    let league = null;
+    for (let attempt = 0; !league && attempt < 5; attempt++) {
+      league = await League.create({
+        name: name.trim(),
+        owner: userId,
+        joinCode: generateInviteCode(),
+        members: [{ userId }],
+        cadence,
+        seasonCadence: cadence,
+        seasonStartDate,
+        seasonEndDate: getSeasonEnd(seasonStartDate, cadence),
+      }).catch(error => {
+        if (error.code === 11000) {
+          return null;
+        }
+        throw error;
+      });
+    }
+
+    if (!league) {
+      return res.status(500).json({ message: 'Could not generate a join code. Please try again.' });
+    }
+
+    console.log('League created:', { leagueId: league._id, owner: userId });
+    res.status(201).json(formatLeague(league, userId));
+  } catch (error) {
+    console.error('Error creating league:', error);
+    res.status(500).json({ message: 'Failed to create league.' });
+  }
+};
+
+// Join a league with its join code
+exports.joinLeague = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const joinCode = normalizeInviteCode(req.body.joinCode);
+
+    if (!joinCode) {
+      return res.status(400).json({ message: 'Join code is required.' });
+    }
+
+    const league = await League.findOne({ joinCode });
+    if (!league) {
+      return res.status(404).json({ message: 'No league found with that join code.' });
+    }
+
+    if (isMember(league, userId)) {
+      return res.status(409).json({ message: 'You are already in this league.' });
+    }
+
+    // Conditional update so concurrent joins cannot overfill the league
+    const joined = await League.findOneAndUpdate(
+      {
+        _id: league._id,
+        'members.userId': { $ne: userId },
+        [`members.${MAX_LEAGUE_MEMBERS - 1}`]: { $exists: false },
+      },
+      { $push: { members: { userId } } },
+      { new: true }
+    );
+
+    if (!joined) {
+      return res.status(409).json({ message: 'This league is full.' });
+    }
+
+    res.status(200).json(formatLeague(joined, userId));
+  } catch (error) {
+    console.error('Error joining league:', error);
+    res.status(500).json({ message: 'Failed to join league.' });
+  }
+};
+
+// List the leagues the player belongs to
+exports.getMyLeagues = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const today = getLeagueDay();
+
+    const leagues = await League.find({ 'members.userId': userId }).sort({ createdAt: -1 });
+    const current = await Promise.all(leagues.map(league => ensureCurrentSeason(league, today)));
+
+    res.status(200).json(current.map(league => formatLeague(league, userId)));
+  } catch (error) {
+    console.error('Error fetching leagues:', error);
+    res.status(500).json({ message: 'Failed to fetch leagues.' });
+  }
+};
+
+// Current season standings for a league
+exports.getLeagueStandings = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const league = await loadMemberLeague(req.params.leagueId, userId);
+
+    if (!league) {
+      return res.status(404).json({ message: 'League not found.' });
+    }
+
+    const standings = await computeStandings(
+      league.members.map(member => member.userId),
+      league.seasonStartDate,
+      league.seasonEndDate
+    );
+
+    res.status(200).json({ ...formatLeague(league, userId), standings });
+  } catch (error) {
+    console.error('Error fetching league standings:', error);
+    res.status(500).json({ message: 'Failed to fetch league standings.' });
+  }
+};
+
+// Final standings of past seasons, newest first
+exports.getLeagueSeasons = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const league = await loadMemberLeague(req.params.leagueId, userId);
+
+    if (!league) {
+      return res.status(404).json({ message: 'League not found.' });
+    }
+
+    const seasons = await LeagueSeason.find({ leagueId: league._id }).sort({ seasonNumber: -1 }).lean();
+    res.status(200).json(seasons);
+  } catch (error) {
+    console.error('Error fetching league seasons:', error);
+    res.status(500).json({ message: 'Failed to fetch league seasons.' });
+  }
+};
+
+// Rename a league or change its cadence. Only the owner can do this, and a
+// new cadence applies from the next season.
+exports.updateLeague = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { name, cadence } = req.body;
+
+    const league = await loadMemberLeague(req.params.leagueId, userId);
+    if (!league) {
+      return res.status(404).json({ message: 'League not found.' });
+    }
+
+    if (String(league.owner) !== String(userId)) {
+      return res.status(403).json({ message: 'Only the league owner can change its settings.' });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'League name cannot be empty.' });
+      }
+      league.name = name.trim();
+    }
+
+    if (cadence !== undefined) {
+      if (!LEAGUE_CADENCES.includes(cadence)) {
+        return res.status(400).json({ message: `Cadence must be one of: ${LEAGUE_CADENCES.join(', ')}.` });
+      }
+      league.cadence = cadence;
+    }
+
+    await league.save();
+    res.status(200).json(formatLeague(league, userId));
+  } catch (error) {
+    console.error('Error updating league:', error);
+    res.status(500).json({ message: 'Failed to update league.' });
+  }
+};
+
+// Leave a league. The owner's role passes to the longest-standing member,
+// and the league is deleted when its last member leaves.
+exports.leaveLeague = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const league = await loadMemberLeague(req.params.leagueId, userId);
+
+    if (!league) {
+      return res.status(404).json({ message: 'League not found.' });
+    }
+
+    // Pulled in place so a member joining at the same time is not lost
+    const remaining = await League.findOneAndUpdate(
+      { _id: league._id },
+      { $pull: { members: { userId } } },
+      { new: true }
+    );
+
+    if (!remaining) {
+      return res.status(404).json({ message: 'League not found.' });
+    }
+
+    if (!remaining.members.length) {
+      // Only closed if still empty, in case someone joined just now
+      const { deletedCount } = await League.deleteOne({ _id: league._id, members: { $size: 0 } });
+      if (deletedCount) {
+        await LeagueSeason.deleteMany({ leagueId: league._id });
+        return res.status(200).json({ message: 'You left the league and it was closed.' });
+      }
+    }
+
+    if (String(remaining.owner) === String(userId)) {
+      const successor = remaining.members[0]
+        || (await League.findById(league._id, { members: 1 }).lean())?.members[0];
+      if (successor) {
+        await League.updateOne({ _id: league._id, owner: userId }, { $set: { owner: successor.userId } });
+      }
+    }
+
+    res.status(200).json({ message: 'You left the league.' });
+  } catch (error) {
+    console.error('Error leaving league:', error);
+    res.status(500).json({ message: 'Failed to leave league.' });
+  }
+};
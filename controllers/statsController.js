@@ -1,5 +1,28 @@
 const Stats = require('../models/Stats');
-const { getTodayInEST, getYesterdayInEST } = require('../utils/dateUtils');
+const GameResult = require('../models/GameResult');
+const GraceDay = require('../models/GraceDay');
+const { isValidDateString } = require('../utils/dateUtils');
+const { getPlayerPuzzleDay } = require('../utils/puzzleCalendar');
+const { getLeaderboards } = require('../utils/leaderboardUtils');
+const { evaluateAchievements, listUserAchievements } = require('../utils/achievementUtils');
+const { rollOverDayState } = require('../utils/rolloverUtils');
+
+// Page size limits for the history endpoint
+const DEFAULT_HISTORY_LIMIT = 31;
+const MAX_HISTORY_LIMIT = 366;
+
+// Load the signed-in user's stats, rolled over to their current puzzle day
+// if the rollover job has not reached them yet
+const loadCurrentStats = async (req) => {
+  const { userId } = req.user;
+  const stats = await Stats.findOne({ userId });
+
+  if (stats && await rollOverDayState(stats, { userId }, getPlayerPuzzleDay(req.user?.timeZone))) {
+    await stats.save();
+  }
+
+  return stats;
+};
 
 // Get user statistics
 exports.getUserStats = async (req, res) => {
@@ -32,85 +55,117 @@ exports.getUserStats = async (req, res) => {
   }
 };
 
+// Client-reported scores are no longer applied. Results are recorded when the
+// final guess is graded by POST /api/game/guess; this returns the stored stats.
 exports.updateUserStats = async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { correctAnswers, totalQuestions, completedSelections } = req.body;
-    const todayInEST = getTodayInEST();
+    const { userId } = req.user;
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
 
-    console.log(`Updating stats for user: ${userId}`);
-    console.log(`Received data:`, req.body);
+    console.log(`Stats update requested for user: ${userId}`);
 
-    let stats = await Stats.findOne({ userId });
+    const stats = await Stats.findOne({ userId });
 
-    if (!stats) {
-      console.log("No stats found for user. Initializing new stats.");
-      stats = new Stats({
-        userId,
-        gamesPlayed: 0,
-        winPercentage: 0,
-        currentStreak: 0,
-        maxStreak: 0,
-        perfectStreak: 0,
-        maxPerfectStreak: 0,
-        perfectPuzzles: 0,
-        mistakeDistribution: { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    if (!stats || stats.lastPlayedDate !== today) {
+      return res.status(409).json({
+        message: "Today's result has not been recorded. Submit guesses through POST /api/game/guess."
       });
     }
 
-    // Update stats
-    stats.gamesPlayed += 1;
+    const newAchievements = await evaluateAchievements(userId, { stats, today });
+
+    res.status(200).json({ ...stats.toObject(), newAchievements });
+  } catch (error) {
+    console.error("Error updating user stats:", error);
+    res.status(500).json({ message: "Failed to update stats." });
+  }
+};
+
+// Fetch per-day game results, newest first, for the history calendar
+exports.getHistory = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { from, to, before, mode = 'daily' } = req.query;
+
+    if (!['daily', 'archive'].includes(mode)) {
+      return res.status(400).json({ message: "Mode must be daily or archive." });
+    }
 
-    const mistakes = Math.max(totalQuestions - correctAnswers, 0); // Calculate mistakes
-    stats.mostRecentScore = mistakes; // Track most recent mistake count
-    stats.mistakeDistribution[mistakes] = (stats.mistakeDistribution[mistakes] || 0) + 1;
-    stats.markModified("mistakeDistribution"); // Ensure nested fields are marked as modified
+    for (const value of [from, to, before]) {
+      if (value !== undefined && !isValidDateString(value)) {
+        return res.status(400).json({ message: "Dates must be in YYYY-MM-DD format." });
+      }
+    }
 
-    console.log(`Updated mistake distribution:`, stats.mistakeDistribution);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
 
-    // Update streaks
-    const isPerfectGame = correctAnswers === totalQuestions;
+    // Date strings sort chronologically, so the range can be compared directly
+    const date = {};
+    if (from) date.$gte = from;
+    if (to) date.$lte = to;
+    if (before) date.$lt = before;
 
-    if (stats.lastPlayedDate === getYesterdayInEST()) {
-      stats.currentStreak += 1;
-      stats.perfectStreak = isPerfectGame ? stats.perfectStreak + 1 : 0;
-    } else if (stats.lastPlayedDate !== todayInEST) {
-      stats.currentStreak = 1;
-      stats.perfectStreak = isPerfectGame ? 1 : 0;
+    const query = { userId, mode };
+    if (Object.keys(date).length) {
+      query.date = date;
     }
 
-    stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
-    stats.maxPerfectStreak = Math.max(stats.maxPerfectStreak, stats.perfectStreak);
+    // Fetch one extra document to tell whether another page exists
+    const results = await GameResult.find(query)
+      .sort({ date: -1 })
+      .limit(limit + 1)
+      .lean();
 
-    // Update perfect puzzles count
-    if (isPerfectGame) {
-      stats.perfectPuzzles += 1;
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+
+    // Days that kept the streak without a game: site-wide grace days and the
+    // player's frozen days, limited to the span this page covers
+    if (hasMore) {
+      date.$gte = page[page.length - 1].date;
     }
+    const inPage = (day) => (!date.$gte || day >= date.$gte)
+      && (!date.$lte || day <= date.$lte)
+      && (!date.$lt || day < date.$lt);
+
+    const [graceDays, stats] = await Promise.all([
+      GraceDay.find(Object.keys(date).length ? { date } : {}, { date: 1, reason: 1 }).sort({ date: -1 }).lean(),
+      Stats.findOne({ userId }, { frozenDates: 1 }).lean(),
+    ]);
 
-    // Calculate win percentage
-    stats.winPercentage = Math.round((stats.perfectPuzzles / stats.gamesPlayed) * 100);
-
-    // Update last played date
-    stats.lastPlayedDate = todayInEST;
-
-    console.log("Final updated stats:", {
-      gamesPlayed: stats.gamesPlayed,
-      winPercentage: stats.winPercentage,
-      currentStreak: stats.currentStreak,
-      maxStreak: stats.maxStreak,
-      perfectStreak: stats.perfectStreak,
-      maxPerfectStreak: stats.maxPerfectStreak,
-      perfectPuzzles: stats.perfectPuzzles,
-      mistakeDistribution: stats.mistakeDistribution,
-      mostRecentScore: stats.mostRecentScore,
+    res.status(200).json({
+      results: page,
+      graceDays: graceDays.map(({ date, reason }) => ({ date, reason })),
+      frozenDates: (stats?.frozenDates || []).filter(inPage).sort().reverse(),
+      nextCursor: hasMore ? page[page.length - 1].date : null,
     });
+  } catch (error) {
+    console.error("Error fetching game history:", error);
+    res.status(500).json({ message: "Failed to fetch game history." });
+  }
+};
 
-    await stats.save();
-    console.log("Stats successfully saved to database.");
-    res.status(200).json(stats);
+// Fetch today's fastest perfect solves, longest current streaks and best accuracy
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const today = getPlayerPuzzleDay(req.user?.timeZone);
+    const leaderboards = await getLeaderboards(today);
+    res.status(200).json(leaderboards);
   } catch (error) {
-    console.error("Error updating user stats:", error);
-    res.status(500).json({ message: "Failed to update stats." });
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ message: "Failed to fetch leaderboard." });
+  }
+};
+
+// List achievements with the ones the user has unlocked
+exports.getAchievements = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const achievements = await listUserAchievements(userId);
+    res.status(200).json(achievements);
+  } catch (error) {
+    console.error("Error fetching achievements:", error);
+    res.status(500).json({ message: "Failed to fetch achievements." });
   }
 };
 
@@ -141,6 +196,8 @@ exports.resetUserStats = async (req, res) => {
       },
       mostRecentScore: null,
       lastPlayedDate: null,
+      streakFreezes: 0,
+      frozenDates: [],
     };
 
     const updatedStats = await Stats.findOneAndUpdate(
@@ -177,25 +234,13 @@ exports.deleteUserStats = async (req, res) => {
 // Fetch selections
 exports.getSelections = async (req, res) => {
   try {
-    const { userId } = req.user;
-    const todayInEST = getTodayInEST();
-    const stats = await Stats.findOne({ userId });
+    // Selections and attempts from an earlier day are cleared by the rollover
+    const stats = await loadCurrentStats(req);
 
     if (!stats) {
       return res.status(404).json({ message: "Stats not found for this user." });
     }
 
-    // ✅ **Reset selections, attempts, completedSelections, and completedAttempts if LSMD is outdated**
-    if (stats.lastSelectionMadeDate !== todayInEST) {
-      console.log("LSMD is outdated. Resetting selections, attempts, completedSelections, and completedAttempts.");
-      stats.selections = [];
-      stats.attempts = [];
-      stats.completedSelections = []; // ✅ Ensures completedSelections reset on a new day
-      stats.completedAttempts = []; // ✅ Ensures completedAttempts reset on a new day
-      stats.lastSelectionMadeDate = todayInEST;
-      await stats.save();
-    }
-
     console.log("✅ Returning selections, attempts, completedSelections, completedAttempts, and alreadyGuessed.");
     res.status(200).json({
       selections: stats.selections || [],
@@ -210,33 +255,6 @@ exports.getSelections = async (req, res) => {
   }
 };
 
-// Save selections
-exports.saveSelections = async (req, res) => {
-  try {
-    const { userId } = req.user;
-    const { selections } = req.body;
-    const todayInEST = getTodayInEST();
-
-    if (!Array.isArray(selections)) {
-      return res.status(400).json({ message: 'Selections must be an array.' });
-    }
-
-    const stats = await Stats.findOneAndUpdate(
-      { userId },
-      {
-        $set: {
-          selections,
-          lastSelectionMadeDate: todayInEST, // Update LSMD
-        }
-      },
-      { new: true, upsert: true }
-    );
-
-    res.status(200).json({ selections: stats.selections });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to save selections.' });
-  }
-};
 
 // Fetch completedSelections
 exports.getCompletedSelections = async (req, res) => {
@@ -266,113 +284,16 @@ exports.getCompletedSelections = async (req, res) => {
   }
 };
 
-// Save completedSelections
-exports.saveCompletedSelections = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { completedSelections } = req.body;
-
-    if (!userId) {
-      console.error("❌ Missing userId in request.");
-      return res.status(400).json({ message: "User ID is required." });
-    }
-
-    let stats = await Stats.findOne({ userId });
-
-    if (!stats) {
-      console.log(`📌 No stats found for userId: ${userId}. Creating new entry.`);
-      stats = new Stats({ userId, completedSelections: [] });
-    }
-
-    // Always save, even if `completedSelections` is empty
-    stats.completedSelections = completedSelections || [];
-    await stats.save();
-
-    console.log("✅ CompletedSelections successfully saved:", stats.completedSelections);
-    res.status(200).json({ completedSelections: stats.completedSelections });
-  } catch (error) {
-    console.error("❌ Error saving completedSelections:", error);
-    res.status(500).json({ message: "Failed to save completedSelections." });
-  }
-};
-
-exports.saveAlreadyGuessed = async (req, res) => {
-  try {
-    const { userId } = req.user;
-    const { alreadyGuessed } = req.body;
-
-    if (!Array.isArray(alreadyGuessed)) {
-      return res.status(400).json({ message: "Invalid alreadyGuessed data." });
-    }
-
-    const stats = await Stats.findOneAndUpdate(
-      { userId },
-      { $set: { alreadyGuessed } },
-      { new: true, upsert: true }
-    );
-
-    res.status(200).json({ alreadyGuessed: stats.alreadyGuessed });
-  } catch (error) {
-    console.error("Error updating alreadyGuessed:", error);
-    res.status(500).json({ message: "Failed to update alreadyGuessed." });
-  }
-};
-
-exports.saveAttempts = async (req, res) => {
-  const { userId } = req.user;
-  const { attempts } = req.body;
-
-  if (!Array.isArray(attempts)) {
-    return res.status(400).json({ message: "Invalid attempts data." });
-  }
-
-  // Ensure boolean values are stored
-  const formattedAttempts = attempts.map(attempt =>
-    attempt.map(selected => !!selected) // Convert values to true/false
-  );
-
-  const stats = await Stats.findOneAndUpdate(
-    { userId },
-    { $set: { attempts: formattedAttempts } },
-    { new: true, upsert: true }
-  );
-
-  res.status(200).json({ attempts: stats.attempts });
+// The old per-field state writes overwrote each other across tabs and retries.
+// State is now written through PUT /api/game/state with a version check.
+exports.rejectLegacyStateWrite = (req, res) => {
+  res.status(410).json({ message: "This endpoint has been replaced by PUT /api/game/state." });
 };
 
-exports.saveCompletedAttempts = async (req, res) => {
-  try {
-    const { userId } = req.user;
-    const { completedAttempts } = req.body;
-
-    if (!Array.isArray(completedAttempts)) {
-      return res.status(400).json({ message: "Invalid completedAttempts data." });
-    }
-
-    // ✅ Ensure the user document exists before updating
-    let stats = await Stats.findOne({ userId });
-
-    if (!stats) {
-      console.log(`⚠️ No stats found for user ${userId}, creating new document.`);
-      stats = new Stats({ userId, completedAttempts: [] });
-    }
-
-    stats.completedAttempts = completedAttempts;
-    await stats.save();
-
-    res.status(200).json({ completedAttempts: stats.completedAttempts });
-  } catch (error) {
-    console.error("❌ Error updating completedAttempts:", error);
-    res.status(500).json({ message: "Failed to update completedAttempts.", error });
-  }
-};
-
-
 // Fetch triesRemaining
 exports.getTriesRemaining = async (req, res) => {
   try {
-    const { userId } = req.user;
-    const stats = await Stats.findOne({ userId });
+    const stats = await loadCurrentStats(req);
 
     if (!stats) {
       return res.status(404).json({ message: 'Stats not found for this user.' });
@@ -385,54 +306,24 @@ exports.getTriesRemaining = async (req, res) => {
   }
 };
 
-// Decrement triesRemaining
-exports.decrementTries = async (req, res) => {
-  try {
-    const { userId } = req.user;
-    const todayInEST = getTodayInEST();
-
-    const stats = await Stats.findOneAndUpdate(
-      { userId },
-      { $inc: { triesRemaining: -1 }, lastTriesMadeDate: todayInEST }, // Update LTMD on attempt
-      { new: true }
-    );
-
-    if (!stats) {
-      return res.status(404).json({ message: 'Stats not found for this user.' });
-    }
-
-    res.status(200).json({ triesRemaining: stats.triesRemaining });
-  } catch (error) {
-    console.error('Error decrementing triesRemaining:', error);
-    res.status(500).json({ message: 'Failed to decrement triesRemaining.' });
-  }
+// Tries are spent by the server when POST /api/game/guess grades an attempt.
+// A client-driven decrement had no floor and could spend tries twice.
+exports.decrementTries = (req, res) => {
+  res.status(410).json({ message: "Tries are now spent by POST /api/game/guess." });
 };
 
-// Reset triesRemaining at midnight
+// Tries are reset by the daily rollover job. Kept for older clients, this
+// only makes sure the caller's day has been rolled over and returns their tries.
 exports.resetTries = async (req, res) => {
   try {
     const { userId } = req.user;
-    const todayInEST = getTodayInEST();
-
-    console.log(`Checking if tries should be reset for user ${userId}...`);
-
-    const stats = await Stats.findOne({ userId });
+    const stats = await loadCurrentStats(req);
 
     if (!stats) {
       console.error(`Stats not found for user ${userId}`);
       return res.status(404).json({ message: 'Stats not found for user.' });
     }
 
-    // Reset tries if the game was completed today or if the user last attempted yesterday
-    if (stats.lastPlayedDate === todayInEST || stats.lastTriesMadeDate !== todayInEST) {
-      console.log(`Resetting triesRemaining to 3 for user ${userId}`);
-      stats.triesRemaining = 3;
-      stats.lastTriesMadeDate = todayInEST;
-      await stats.save();
-    } else {
-      console.log(`Tries remain unchanged for user ${userId}, current tries: ${stats.triesRemaining}`);
-    }
-
     res.status(200).json({ triesRemaining: stats.triesRemaining });
   } catch (error) {
     console.error('Error resetting triesRemaining:', error);
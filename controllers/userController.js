@@ -1,4 +1,14 @@
 const User = require('../models/User');
+const { isValidTimeZone } = require('../utils/dateUtils');
+const { getDisplayName, clearLeaderboardCache } = require('../utils/leaderboardUtils');
+const { signUserToken } = require('../utils/userUtils');
+
+// Longest display name accepted for leaderboards
+const MAX_DISPLAY_NAME_LENGTH = 30;
+
+// Shortest gap between time zone changes. Each change moves the player's puzzle
+// day, so hopping between zones would let them play days out of turn.
+const TIME_ZONE_CHANGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
 
 exports.getThemePreference = async (req, res) => {
     try {
@@ -40,4 +50,124 @@ exports.updateThemePreference = async (req, res) => {
         console.error("🔥 Error updating theme preference:", error);
         res.status(500).json({ message: 'Error updating theme preference' });
     }
-};
\ No newline at end of file
+};
+
+exports.getTimeZone = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({ timeZone: user.timeZone });
+    } catch (error) {
+        console.error("Error fetching time zone:", error);
+        res.status(500).json({ message: 'Error fetching time zone' });
+    }
+};
+
+exports.updateTimeZone = async (req, res) => {
+    try {
+        const { timeZone } = req.body;
+
+        if (!isValidTimeZone(timeZone)) {
+            console.log("❌ Invalid time zone received:", timeZone);
+            return res.status(400).json({ message: 'Invalid time zone' });
+        }
+
+        const currentUser = await User.findById(req.user.userId);
+
+        if (!currentUser) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (currentUser.timeZone === timeZone) {
+            return res.json({ timeZone, token: signUserToken(currentUser) });
+        }
+
+        const { timeZoneChangedAt } = currentUser;
+        const nextChangeAt = timeZoneChangedAt && new Date(timeZoneChangedAt.getTime() + TIME_ZONE_CHANGE_INTERVAL_MS);
+        if (nextChangeAt && nextChangeAt > new Date()) {
+            console.log("❌ Time zone changed too recently:", timeZoneChangedAt);
+            return res.status(429).json({ message: 'Your time zone can only be changed once a day.', nextChangeAt });
+        }
+
+        // Matching the old change time stops two requests both passing the check
+        const user = await User.findOneAndUpdate(
+            { _id: currentUser._id, timeZoneChangedAt },
+            { timeZone, timeZoneChangedAt: new Date() },
+            { new: true, runValidators: true }
+        );
+
+        if (!user) {
+            return res.status(409).json({ message: 'Your time zone was just changed. Reload and try again.' });
+        }
+
+        console.log("✅ Time zone updated successfully:", user.timeZone);
+
+        // The zone travels in the token, so the client must switch to this one
+        res.json({ timeZone: user.timeZone, token: signUserToken(user) });
+    } catch (error) {
+        console.error("🔥 Error updating time zone:", error);
+        res.status(500).json({ message: 'Error updating time zone' });
+    }
+};
+
+exports.getLeaderboardSettings = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({
+            displayName: user.displayName,
+            shownAs: getDisplayName(user),
+            showOnLeaderboard: user.showOnLeaderboard,
+        });
+    } catch (error) {
+        console.error("Error fetching leaderboard settings:", error);
+        res.status(500).json({ message: 'Error fetching leaderboard settings' });
+    }
+};
+
+exports.updateLeaderboardSettings = async (req, res) => {
+    try {
+        const { displayName, showOnLeaderboard } = req.body;
+        const update = {};
+
+        if (displayName !== undefined) {
+            const trimmedName = typeof displayName === 'string' ? displayName.trim() : null;
+
+            // An empty name falls back to the first name and last initial
+            if (displayName !== null && (trimmedName === null || trimmedName.length > MAX_DISPLAY_NAME_LENGTH || trimmedName.includes('@'))) {
+                console.log("❌ Invalid display name received:", displayName);
+                return res.status(400).json({ message: `Display name must be text of up to ${MAX_DISPLAY_NAME_LENGTH} characters and cannot be an email address` });
+            }
+            update.displayName = trimmedName || null;
+        }
+
+        if (showOnLeaderboard !== undefined) {
+            if (typeof showOnLeaderboard !== 'boolean') {
+                return res.status(400).json({ message: 'showOnLeaderboard must be true or false' });
+            }
+            update.showOnLeaderboard = showOnLeaderboard;
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.userId, update, { new: true, runValidators: true });
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        clearLeaderboardCache();
+
+        console.log("✅ Leaderboard settings updated:", { displayName: user.displayName, showOnLeaderboard: user.showOnLeaderboard });
+        res.json({
+            displayName: user.displayName,
+            shownAs: getDisplayName(user),
+            showOnLeaderboard: user.showOnLeaderboard,
+        });
+    } catch (error) {
+        console.error("🔥 Error updating leaderboard settings:", error);
+        res.status(500).json({ message: 'Error updating leaderboard settings' });
+    }
+};
@@ -1,6 +1,7 @@
 // authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { GUEST_TOKEN_HEADER, verifyGuestToken } = require('../utils/guestUtils');
 
 exports.authenticateToken = (req, res, next) => {
   console.log('Auth middleware - Headers:', req.headers);
@@ -18,6 +19,13 @@ exports.authenticateToken = (req, res, next) => {
     console.log('Auth middleware - JWT_SECRET exists:', !!process.env.JWT_SECRET);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('Auth middleware - Decoded JWT:', decoded);
+
+    // Guest tokens identify an anonymous session, not an account
+    if (decoded.type === 'guest') {
+      console.log('Auth middleware - Guest token used as account token');
+      return res.status(401).json({ message: 'Unauthorized access' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -26,6 +34,50 @@ exports.authenticateToken = (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+exports.optionalAuthenticateToken = (req, res, next) => {
+  const token = req.header('Authorization')?.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'guest') {
+      req.user = decoded;
+    }
+  } catch (error) {
+    console.warn('Optional auth middleware - Ignoring invalid token:', error.message);
+  }
+  next();
+};
+
+// Attach the signed-in user's time zone so handlers can work out their local puzzle day.
+// Tokens carry it; only tokens issued before that need it loaded from the user.
+exports.attachTimeZone = async (req, res, next) => {
+  if (!req.user?.userId || typeof req.user.timeZone === 'string') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('timeZone').lean();
+    req.user.timeZone = user?.timeZone || null;
+  } catch (error) {
+    console.error('Time zone middleware - Failed to load time zone:', error);
+  }
+  next();
+};
+
+// Attach the guest session id when a valid guest token header is sent
+exports.optionalGuestToken = (req, res, next) => {
+  const guestId = verifyGuestToken(req.header(GUEST_TOKEN_HEADER));
+  if (guestId) {
+    req.guest = { guestId };
+  }
+  next();
+};
+
 // Middleware to check if the user is an admin
 exports.authorizeAdmin = (req, res, next) => {
   console.log('Admin middleware - User object:', req.user);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Metrics a rule can test. Stat metrics compare a Stats figure to the threshold;
+// period metrics count daily results within a calendar week or month.
+const STAT_METRICS = ['streak', 'perfectStreak', 'perfectPuzzles', 'gamesPlayed'];
+const PERIOD_METRICS = ['daysPlayed', 'perfectDays'];
+
+// A badge and the rule that unlocks it. Admins can add these at runtime.
+const achievementSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // Stable identifier such as 'streak-7'
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    icon: {
+      type: String, // Emoji or image URL shown on the badge
+      default: '🏅',
+    },
+    rule: {
+      metric: {
+        type: String,
+        enum: [...STAT_METRICS, ...PERIOD_METRICS],
+        required: true,
+      },
+      threshold: {
+        type: Number, // For period metrics, 0 means every day of the period
+        required: true,
+        min: 0,
+      },
+      period: {
+        type: String, // Only used by period metrics
+        enum: ['week', 'month'],
+        default: null,
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+achievementSchema.statics.STAT_METRICS = STAT_METRICS;
+achievementSchema.statics.PERIOD_METRICS = PERIOD_METRICS;
+
+module.exports = mongoose.model('Achievement', achievementSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A friend request from one user to another. Once accepted the friendship
+// works both ways, whichever side sent it.
+const friendshipSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending',
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+friendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+friendshipSchema.index({ recipient: 1, status: 1 });
+
+module.exports = mongoose.model('Friendship', friendshipSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// One document per user per puzzle day and mode. Daily results are written when
+// the game completes; archive plays keep their in-progress attempts here too.
+const gameResultSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    guestId: {
+      type: String, // Set instead of userId for guest plays until they are merged
+    },
+    date: {
+      type: String, // Puzzle day as YYYY-MM-DD
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ['daily', 'archive'],
+      default: 'daily',
+    },
+    pairIds: {
+      type: [mongoose.Schema.Types.ObjectId], // Pairs in the order they were served
+      default: [],
+    },
+    pairResults: {
+      type: [Boolean], // Per-pair correctness on the final attempt
+      default: [],
+    },
+    attemptResults: {
+      type: [[Boolean]], // Per-pair correctness for every attempt, in order
+      default: [],
+    },
+    attemptsUsed: {
+      type: Number,
+      default: 0,
+    },
+    mistakes: {
+      type: Number,
+      default: 0,
+    },
+    isPerfect: {
+      type: Boolean,
+      default: false,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    completionTimeMs: {
+      type: Number,
+      default: null,
+    },
+    answerTimesMs: {
+      type: [[Number]], // Server-measured per-pair answer times for each timed attempt
+      default: [],
+    },
+    isTimed: {
+      type: Boolean, // Every attempt was played in timed mode
+      default: false,
+    },
+    timedTotalMs: {
+      type: Number, // Sum of all answer times when isTimed
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+gameResultSchema.index(
+  { userId: 1, date: 1, mode: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+gameResultSchema.index(
+  { guestId: 1, date: 1, mode: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $exists: true } } }
+);
+// Daily fastest-solve leaderboard
+gameResultSchema.index({ date: 1, mode: 1, isPerfect: 1, completionTimeMs: 1 });
+
+module.exports = mongoose.model('GameResult', gameResultSchema);
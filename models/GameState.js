@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A player's in-progress state for one daily puzzle. Clients read and write it
+// through /api/game/state; every change bumps version so stale writes from
+// another tab or a retried request are rejected instead of overwriting.
+const gameStateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    guestId: {
+      type: String,
+    },
+    date: {
+      type: String, // Puzzle day as YYYY-MM-DD
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+
+    // Written by the client
+    selections: {
+      type: [String], // Current picks for the attempt being built, null where undecided
+      default: [],
+    },
+    alreadyGuessed: {
+      type: [[String]],
+      default: [],
+    },
+
+    // Written only by the server when an attempt is graded
+    attempts: {
+      type: [[String]],
+      default: [],
+    },
+    attemptResults: {
+      type: [[Boolean]],
+      default: [],
+    },
+    triesRemaining: {
+      type: Number,
+      default: 3,
+    },
+    isComplete: {
+      type: Boolean,
+      default: false,
+    },
+    completedSelections: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+gameStateSchema.index(
+  { userId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+gameStateSchema.index(
+  { guestId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('GameState', gameStateSchema);
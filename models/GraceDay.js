@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A puzzle day declared by an admin as not counting against anyone's streak,
+// e.g. when no pairs were scheduled and the daily puzzle could not be served.
+const graceDaySchema = new mongoose.Schema(
+  {
+    date: {
+      type: String, // Puzzle day as YYYY-MM-DD
+      required: true,
+      unique: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('GraceDay', graceDaySchema);
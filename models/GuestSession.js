@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Server-side state for an anonymous player, keyed by the id in their signed guest token.
+// Mirrors the daily and streak fields on Stats so the same game logic applies to both.
+const guestSessionSchema = new mongoose.Schema(
+  {
+    guestId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    gamesPlayed: {
+      type: Number,
+      default: 0,
+    },
+    winPercentage: {
+      type: Number,
+      default: 0,
+    },
+    currentStreak: {
+      type: Number,
+      default: 0,
+    },
+    maxStreak: {
+      type: Number,
+      default: 0,
+    },
+    perfectStreak: {
+      type: Number,
+      default: 0,
+    },
+    maxPerfectStreak: {
+      type: Number,
+      default: 0,
+    },
+    perfectPuzzles: {
+      type: Number,
+      default: 0,
+    },
+    streakFreezes: {
+      type: Number, // Freezes available to cover a missed day
+      default: 0,
+    },
+    frozenDates: {
+      type: [String], // Missed puzzle days covered by a freeze
+      default: [],
+    },
+    mistakeDistribution: {
+      type: Object,
+      default: {
+        '0': 0,
+        '1': 0,
+        '2': 0,
+        '3': 0,
+        '4': 0,
+        '5': 0,
+      },
+    },
+    mostRecentScore: {
+      type: Number,
+      default: null,
+    },
+    lastPlayedDate: {
+      type: String,
+      default: null,
+    },
+    lastSelectionMadeDate: {
+      type: String,
+      default: null,
+    },
+    lastTriesMadeDate: {
+      type: String,
+      default: null,
+    },
+    triesRemaining: {
+      type: Number,
+      default: 3,
+    },
+    dayStateDate: {
+      type: String,
+      default: null,
+    },
+    puzzleStartedDate: {
+      type: String,
+      default: null,
+    },
+    puzzleStartedAt: {
+      type: Date,
+      default: null,
+    },
+    fullSetServedDate: {
+      type: String, // Puzzle day the whole set was last served; timed mode is closed for that day
+      default: null,
+    },
+    selections: {
+      type: Array,
+      default: [],
+    },
+    completedSelections: {
+      type: Array,
+      default: [],
+    },
+    attempts: {
+      type: [[String]],
+      default: [],
+    },
+    completedAttempts: {
+      type: [[String]],
+      default: [],
+    },
+    timedPairsDate: {
+      type: String,
+      default: null,
+    },
+    timedPairs: {
+      type: [{ servedAt: Date, answeredAt: Date, selection: String, _id: false }],
+      default: [],
+    },
+    attemptTimesMs: {
+      type: [[Number]],
+      default: [],
+    },
+    timedAnswers: {
+      type: Number,
+      default: 0,
+    },
+    averageAnswerTimeMs: {
+      type: Number,
+      default: null,
+    },
+    fastestPerfectMs: {
+      type: Number,
+      default: null,
+    },
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId, // Set once the guest registers or logs in
+      ref: 'User',
+      default: null,
+    },
+    mergedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('GuestSession', guestSessionSchema);
@@ -1,6 +1,15 @@
 // models/ImagePair.js
 
 const mongoose = require('mongoose');
+const { getPuzzleDay, getScheduledDate } = require('../utils/puzzleCalendar');
+
+// Latest review decision on a pair. Pairs without one are waiting in the review queue.
+const PairReviewStatusSchema = new mongoose.Schema({
+  status: { type: String, enum: ['approved'], required: true }, // Rejected pairs leave the day; see PairReview
+  reviewer: { type: String, required: true },
+  notes: { type: String, default: '' },
+  reviewedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const ImagePairSchema = new mongoose.Schema({
   scheduledDate: { 
@@ -9,9 +18,8 @@ const ImagePairSchema = new mongoose.Schema({
     unique: true,
     validate: {
       validator: function(value) {
-        const today = new Date();
-        today.setUTCHours(5, 0, 0, 0); // Set to midnight EST (5 AM UTC)
-        return value >= today;
+        // Compare against the start of today's puzzle day, DST included
+        return value >= getScheduledDate(getPuzzleDay());
       },
       message: 'Cannot schedule image pairs for dates before the current day'
     }
@@ -20,7 +28,18 @@ const ImagePairSchema = new mongoose.Schema({
     {
       humanImageURL: { type: String, required: true },
       aiImageURL: { type: String, required: true },
-      metadata: { type: Object, default: {} } // Added for future extensibility
+      metadata: { type: Object, default: {} }, // Added for future extensibility
+      review: { type: PairReviewStatusSchema, default: null },
+      aiVersions: [ // Every AI image the pair has had, oldest first; see aiVersionUtils
+        {
+          version: { type: Number, required: true },
+          aiImageURL: { type: String, required: true },
+          metadata: { type: Object, default: {} }, // Prompt and analysis behind this image
+          createdAt: { type: Date, default: Date.now },
+          _id: false
+        }
+      ],
+      activeAiVersion: { type: Number, default: null } // Version shown as aiImageURL
     }
   ],
   pendingHumanImages: [
@@ -35,15 +54,43 @@ const ImagePairSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'live'], 
     default: 'pending' 
   }, 
+  title: { type: String, default: null }, // Shown to players above the day's puzzle
+  theme: {
+    name: { type: String, default: null }, // e.g. "Impressionist week"
+    imageTypes: { type: [String], default: [] }, // Only pairs of these types are auto-scheduled here
+    styles: { type: [String], default: [] } // ...or whose style contains one of these
+  },
+  curatorNote: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now } // Added updated timestamp for tracking updates
 });
 
 ImagePairSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // Replaced pairs have not been reviewed, so the day needs approving again
+  if (!this.isNew && this.isModified('pairs') && this.status === 'approved') {
+    this.status = 'pending';
+  }
   next();
 }); // Middleware to update 'updatedAt' before saving
 
+// Check whether an update adds, removes or replaces images. Metadata edits such
+// as reveal notes do not count.
+const changesPairImages = (update = {}) => {
+  return Object.values(update)
+    .filter(fields => fields && typeof fields === 'object')
+    .some(fields => Object.keys(fields).some(path =>
+      path === 'pairs' || /^pairs\.\$(\[\w*\])?\.(humanImageURL|aiImageURL)$/.test(path)
+    ));
+};
+
+// Pair edits made through updates send an approved day back for approval too
+ImagePairSchema.post('findOneAndUpdate', async function() {
+  if (changesPairImages(this.getUpdate())) {
+    await this.model.updateOne({ ...this.getFilter(), status: 'approved' }, { $set: { status: 'pending' } });
+  }
+});
+
 const collectionName = process.env.NODE_ENV === "staging" ? "staging_imagePairs" : "imagePairs";
 
 module.exports = mongoose.model(collectionName, ImagePairSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A background job run by the in-process worker in utils/jobQueue.js. Each
+// step's output is saved as a checkpoint, so a retry resumes where it failed.
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String, // Handler to run; see pairGenerationJobs
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'succeeded', 'failed'],
+      default: 'queued',
+    },
+    payload: {
+      type: Object, // Input the job was created with
+      default: {},
+    },
+    imageData: {
+      type: Buffer, // Image waiting to be uploaded; cleared once it is stored
+      default: null,
+    },
+    checkpoints: {
+      type: Object, // Output of each completed step, keyed by step name
+      default: {},
+    },
+    currentStep: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    runAt: {
+      type: Date, // Not picked up before this time, for retry backoff
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date, // When a worker took the job; stale locks are picked up again
+      default: null,
+    },
+    lockToken: {
+      type: String, // Identifies the worker holding the lock; saves by any other worker are refused
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    errorHistory: {
+      type: [{ step: String, message: String, at: Date, _id: false }],
+      default: [],
+    },
+    result: {
+      type: Object,
+      default: null,
+    },
+    batchId: {
+      type: String, // Shared by jobs created together, e.g. a bulk regenerate
+      default: null,
+      index: true,
+    },
+    createdBy: {
+      type: String, // Email of the admin who started the job
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Picking the next job to run
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A private group of players with shared standings. Standings cover the
+// current season; finished seasons are kept in LeagueSeason.
+const leagueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    joinCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    members: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        joinedAt: { type: Date, default: Date.now },
+      }
+    ],
+    cadence: {
+      type: String, // How long each season runs; changes apply from the next season
+      enum: ['weekly', 'monthly'],
+      default: 'weekly',
+    },
+    seasonCadence: {
+      type: String, // Cadence the current season started with, used when it is archived
+      enum: ['weekly', 'monthly'],
+    },
+    seasonNumber: {
+      type: Number,
+      default: 1,
+    },
+    seasonStartDate: {
+      type: String, // Puzzle day as YYYY-MM-DD
+      required: true,
+    },
+    seasonEndDate: {
+      type: String, // Last puzzle day of the season, inclusive
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+leagueSchema.index({ 'members.userId': 1 });
+
+module.exports = mongoose.model('League', leagueSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Final standings of a finished league season
+const leagueSeasonSchema = new mongoose.Schema(
+  {
+    leagueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'League',
+      required: true,
+    },
+    seasonNumber: {
+      type: Number,
+      required: true,
+    },
+    cadence: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+    },
+    startDate: {
+      type: String, // Puzzle day as YYYY-MM-DD
+      required: true,
+    },
+    endDate: {
+      type: String,
+      required: true,
+    },
+    standings: [
+      {
+        rank: Number,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        displayName: String,
+        perfectPuzzles: Number,
+        totalMistakes: Number,
+        gamesPlayed: Number,
+        longestStreak: Number,
+      }
+    ],
+  },
+  { timestamps: true }
+);
+
+leagueSeasonSchema.index({ leagueId: 1, seasonNumber: -1 }, { unique: true });
+
+module.exports = mongoose.model('LeagueSeason', leagueSeasonSchema);
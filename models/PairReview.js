@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Why a pair was rejected, recorded so prompt tuning can see what goes wrong most
+const REASON_CODES = {
+  'ai-too-obvious': 'AI too obvious',
+  'human-low-quality': 'Human image low quality',
+  'mismatched-medium': 'Mismatched medium',
+  'mismatched-subject': 'Mismatched subject',
+  'ai-artifacts': 'AI artifacts',
+  'inappropriate-content': 'Inappropriate content',
+  other: 'Other',
+};
+
+// One admin review decision on a pair. Rejected pairs are removed from their
+// day, so the pair itself is kept here for reference.
+const pairReviewSchema = new mongoose.Schema(
+  {
+    pairId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    date: {
+      type: String, // Puzzle day the pair was scheduled on, as YYYY-MM-DD
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['approve', 'reject'],
+      required: true,
+    },
+    reviewer: {
+      type: String, // Email of the admin who reviewed the pair
+      required: true,
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    reasonCodes: {
+      type: [{ type: String, enum: Object.keys(REASON_CODES) }],
+      default: [],
+    },
+    imageType: {
+      type: String,
+      default: 'unknown',
+    },
+    style: {
+      type: String,
+      default: 'unknown',
+    },
+    pair: {
+      type: Object, // Snapshot of the pair when it was rejected
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Rejection reasons over time, for prompt tuning
+pairReviewSchema.index({ action: 1, reasonCodes: 1, createdAt: -1 });
+
+pairReviewSchema.statics.REASON_CODES = REASON_CODES;
+
+module.exports = mongoose.model('PairReview', pairReviewSchema);
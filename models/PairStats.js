@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Guess counters for one pair in ImagePair.pairs, keyed by the pair's _id.
+// A player is "fooled" when they pick the AI image as the human one.
+const pairStatsSchema = new mongoose.Schema(
+  {
+    pairId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    date: {
+      type: String, // Puzzle day the pair was served on, as YYYY-MM-DD
+      required: true,
+      index: true,
+    },
+    imageType: {
+      type: String,
+      default: 'unknown',
+    },
+    style: {
+      type: String,
+      default: 'unknown',
+    },
+    remixedPrompt: {
+      type: String,
+      default: null,
+    },
+    guesses: {
+      type: Number, // Every graded attempt that included this pair
+      default: 0,
+    },
+    correct: {
+      type: Number,
+      default: 0,
+    },
+    fooled: {
+      type: Number,
+      default: 0,
+    },
+    firstTryGuesses: {
+      type: Number, // First attempts only, one per player
+      default: 0,
+    },
+    firstTryCorrect: {
+      type: Number,
+      default: 0,
+    },
+    timedGuesses: {
+      type: Number, // Guesses made in timed mode
+      default: 0,
+    },
+    totalAnswerTimeMs: {
+      type: Number, // Sum of answer times over timedGuesses
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('PairStats', pairStatsSchema);
@@ -36,6 +36,14 @@ const statsSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    streakFreezes: {
+      type: Number, // Freezes available to cover a missed day
+      default: 0,
+    },
+    frozenDates: {
+      type: [String], // Missed puzzle days covered by a freeze
+      default: [],
+    },
     mistakeDistribution: {
       type: Object,
       default: {
@@ -67,6 +75,22 @@ const statsSchema = new mongoose.Schema(
       type: Number,
       default: 3,
     },
+    dayStateDate: {
+      type: String, // Puzzle day the tries, selections and attempts belong to; see rolloverUtils
+      default: null,
+    },
+    puzzleStartedDate: {
+      type: String, // Puzzle day the current game was first served
+      default: null,
+    },
+    puzzleStartedAt: {
+      type: Date,
+      default: null,
+    },
+    fullSetServedDate: {
+      type: String, // Puzzle day the whole set was last served; timed mode is closed for that day
+      default: null,
+    },
     selections: {
       type: Array,
       default: [],
@@ -89,8 +113,42 @@ const statsSchema = new mongoose.Schema(
       type: [[String]], // Finalized guesses upon game completion
       default: [],
     },
+
+    // Timed mode: pairs are served one at a time and timed on the server
+    timedPairsDate: {
+      type: String, // Puzzle day the timed attempt in progress belongs to
+      default: null,
+    },
+    timedPairs: {
+      type: [{ servedAt: Date, answeredAt: Date, selection: String, _id: false }],
+      default: [],
+    },
+    attemptTimesMs: {
+      type: [[Number]], // Per-pair answer times for today's attempts, empty for untimed ones
+      default: [],
+    },
+    timedAnswers: {
+      type: Number, // Timed answers behind averageAnswerTimeMs
+      default: 0,
+    },
+    averageAnswerTimeMs: {
+      type: Number,
+      default: null,
+    },
+    fastestPerfectMs: {
+      type: Number, // Quickest fully timed perfect game, summed over every attempt
+      default: null,
+    },
+    mergedGuestIds: {
+      type: [String], // Guest sessions already folded in, so a retried merge does not count them twice
+      default: [],
+    },
   },
   { timestamps: true }
 );
 
+// Streak and accuracy leaderboards
+statsSchema.index({ lastPlayedDate: 1, currentStreak: -1 });
+statsSchema.index({ winPercentage: -1, perfectPuzzles: -1 });
+
 module.exports = mongoose.model('Stats', statsSchema);
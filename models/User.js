@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/dateUtils');
+const { PUZZLE_TIME_ZONE } = require('../utils/puzzleCalendar');
 
 const UserSchema = new mongoose.Schema({
   firstName: String,
@@ -12,7 +14,19 @@ const UserSchema = new mongoose.Schema({
     type: Date, // Retain this if you want to track general user activity
     default: null,
   },
-  themePreference: { type: String, enum: ['light', 'dark'], default: 'light' } // Added theme preference
+  themePreference: { type: String, enum: ['light', 'dark'], default: 'light' }, // Added theme preference
+  timeZone: {
+    type: String, // IANA time zone used for the player's daily rollover and streaks
+    default: PUZZLE_TIME_ZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Time zone must be a valid IANA time zone'
+    }
+  },
+  timeZoneChangedAt: { type: Date, default: null }, // Last time the player changed their time zone
+  displayName: { type: String, trim: true, maxlength: 30, default: null }, // Shown on leaderboards instead of the email
+  showOnLeaderboard: { type: Boolean, default: true },
+  inviteCode: { type: String, unique: true, sparse: true } // Shared with friends so they can add this player
 });
 
 
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A badge a user has unlocked
+const userAchievementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    achievementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Achievement',
+      required: true,
+    },
+    key: {
+      type: String, // Achievement key at the time it was unlocked
+      required: true,
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    retroactive: {
+      type: Boolean, // Awarded by a recompute from history rather than during play
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserAchievement', userAchievementSchema);
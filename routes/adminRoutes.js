@@ -1,31 +1,27 @@
 // routes/adminRoutes.js
+const crypto = require('crypto');
 const express = require('express');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const mongoose = require('mongoose');
 const ImagePair = require('../models/ImagePair');
+const Job = require('../models/Job');
 const { authenticateToken, authorizeAdmin } = require('../middleware/authMiddleware');
 const router = express.Router();
 const streamifier = require('streamifier');
 const adminController = require('../controllers/adminController');
 const sharp = require('sharp');
-const OpenAI = require('openai');
-const { generateAiImage } = require('../utils/imageGenUtils');
 const jwt = require('jsonwebtoken');
-const { generateImageDescription, remixCaption } = require('../utils/textProcessing');
-const axios = require('axios');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Initialize OpenAI with new SDK format
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { addDays } = require('../utils/dateUtils');
+const { getPuzzleDay, getScheduledDate, scheduledDateFilter, toPuzzleDay, parsePuzzleDay } = require('../utils/puzzleCalendar');
+const { getPairDetails } = require('../utils/puzzleUtils');
+const { listAiVersions, selectAiVersion, toPositionalSet } = require('../utils/aiVersionUtils');
+const { uploadToCloudinary } = require('../utils/cloudinaryUtils');
+const { sendProgress } = require('../utils/progressUtils');
+const { findNextAvailableDate } = require('../utils/pairScheduleUtils');
+const { enqueueJob, retryJob, formatJob } = require('../utils/jobQueue');
+const { GENERATE_PAIR_JOB, REGENERATE_AI_JOB, getImageDimensions } = require('../utils/pairGenerationJobs');
+const { isImageProvider, listImageProviders } = require('../utils/imageGenUtils');
+const { getLlmUsage } = require('../utils/llmClient');
 
 // Configure file upload storage
 const storage = multer.memoryStorage();
@@ -78,46 +74,6 @@ const resizeImage = async (buffer) => {
   return buffer;
 };
 
-// Upload file to Cloudinary
-const uploadToCloudinary = (fileBuffer, folderName) => {
-  return new Promise((resolve, reject) => {
-    console.log('Starting Cloudinary upload to folder:', folderName);
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: folderName,
-        format: "webp",
-        quality: "auto:best",
-        resource_type: "image",
-        transformation: [
-          { width: 650, crop: "scale" }
-        ]
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          console.log('Cloudinary upload successful:', {
-            publicId: result.public_id,
-            url: result.secure_url,
-            format: result.format,
-            size: result.bytes
-          });
-          resolve(result);
-        }
-      }
-    );
-
-    // Handle stream errors
-    uploadStream.on('error', (error) => {
-      console.error('Cloudinary stream error:', error);
-      reject(error);
-    });
-
-    uploadStream.end(fileBuffer);
-  });
-};
-
 // Admin authentication
 router.post('/login', adminController.adminLogin);
 
@@ -130,18 +86,26 @@ router.post('/upload-image-pair', upload.fields([{ name: 'humanImage' }, { name:
     }
 
     // Validate that scheduledDate is not before today
-    const today = new Date();
-    today.setUTCHours(5, 0, 0, 0); // Set to midnight EST (5 AM UTC)
-    
-    const requestedDate = new Date(scheduledDate);
-    requestedDate.setUTCHours(5, 0, 0, 0);
+    const requestedDay = parsePuzzleDay(scheduledDate);
+    if (!requestedDay) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
 
-    if (requestedDate < today) {
+    if (requestedDay < getPuzzleDay()) {
       return res.status(400).json({ 
         error: 'Cannot schedule image pairs for past dates. Please choose today or a future date.' 
       });
     }
 
+    // Players on a live day are already graded against its pairs
+    const existingDay = await ImagePairCollection.findOne(
+      { scheduledDate: scheduledDateFilter(requestedDay) },
+      { status: 1 }
+    ).lean();
+    if (existingDay?.status === 'live') {
+      return res.status(409).json({ error: 'Pairs cannot be added to a live day.' });
+    }
+
     const humanImage = req.files['humanImage']?.[0];
     const aiImage = req.files['aiImage']?.[0];
     if (!humanImage || !aiImage) {
@@ -163,7 +127,7 @@ router.post('/upload-image-pair', upload.fields([{ name: 'humanImage' }, { name:
 
     // Update the database: Use `findOneAndUpdate()` with `$push`
     const updateResult = await ImagePairCollection.findOneAndUpdate(
-      { scheduledDate: requestedDate }, // Find the document by date
+      { scheduledDate: scheduledDateFilter(requestedDay) }, // Find the document by puzzle day
       {
         $push: { 
           pairs: {
@@ -171,6 +135,7 @@ router.post('/upload-image-pair', upload.fields([{ name: 'humanImage' }, { name:
             aiImageURL: aiUploadResult.secure_url,
           } 
         },
+        $setOnInsert: { scheduledDate: getScheduledDate(requestedDay) },
       },
       { upsert: true, new: true }
     );
@@ -183,23 +148,6 @@ router.post('/upload-image-pair', upload.fields([{ name: 'humanImage' }, { name:
   }
 });
 
-// Initialize global progress streams map if not exists
-if (!global.progressStreams) {
-  global.progressStreams = new Map();
-}
-
-// Send progress update to client
-const sendProgress = (sessionId, message, type = 'info') => {
-  if (global.progressStreams?.has(sessionId)) {
-    try {
-      const res = global.progressStreams.get(sessionId);
-      res.write(`data: ${JSON.stringify({ message, type })}\n\n`);
-    } catch (error) {
-      console.error('Error sending progress update:', error);
-    }
-  }
-};
-
 // Progress updates endpoint
 router.get('/progress-updates/:sessionId', (req, res) => {
   const sessionId = req.params.sessionId;
@@ -281,10 +229,10 @@ router.get('/progress-updates/:sessionId', (req, res) => {
   }
 });
 
-// Upload human image for automated pairing
+// Upload human image for automated pairing. The rest of the pipeline runs as a
+// background job; follow the progress stream or poll GET /jobs/:id.
 router.post('/upload-human-image', upload.single('humanImage'), async (req, res) => {
   const sessionId = req.body.sessionId;
-  let uploadSuccess = false;
   const totalImages = req.body.totalImages || 1;
   const currentImageIndex = req.body.currentImageIndex || 1;
   
@@ -297,230 +245,62 @@ router.post('/upload-human-image', upload.single('humanImage'), async (req, res)
       return res.status(400).json({ error: 'Human image must be provided.' });
     }
 
-    sendProgress(sessionId, `Processing image ${currentImageIndex}/${totalImages}: Optimizing image...`, 'info');
-
-    try {
-      // Get image dimensions before resizing
-      const metadata = await sharp(humanImage.buffer).metadata();
-      const dimensions = {
-        width: metadata.width,
-        height: metadata.height,
-        aspectRatio: metadata.width / metadata.height,
-        orientation: metadata.width > metadata.height ? 'landscape' : metadata.width < metadata.height ? 'portrait' : 'square'
-      };
-
-      // Resize image before uploading
-      const resizedBuffer = await resizeImage(humanImage.buffer);
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Optimization complete`, 'success');
-
-      // Upload to Cloudinary
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Uploading to cloud storage...`, 'info');
-      const humanUploadResult = await uploadToCloudinary(resizedBuffer, 'artalyze/humanImages');
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Upload complete`, 'success');
-
-      // Generate image description
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Analyzing artistic style...`, 'info');
-      const imageAnalysis = await generateImageDescription(humanUploadResult.secure_url);
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Style analysis complete`, 'success');
-
-      // Generate remixed prompt
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Engineering AI prompt...`, 'info');
-      const { prompt: remixedPrompt } = await remixCaption({
-        ...imageAnalysis,
-        metadata: {
-          ...imageAnalysis.metadata,
-          dimensions
-        }
-      });
-      sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: AI prompt ready`, 'success');
-
-      try {
-        // Generate AI image
-        sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Starting AI generation (typically 30-45 seconds)...`, 'info');
-        const aiImageUrl = await generateAiImage(remixedPrompt, dimensions, {
-          ...imageAnalysis.metadata,
-          dimensions,
-          imageType: imageAnalysis.metadata?.imageType || 'mixed_media',
-          subtype: imageAnalysis.metadata?.subtype || 'unknown'
-        });
-
-        if (!aiImageUrl) {
-          sendProgress(sessionId, 'AI generation limit reached. Please try again in a few minutes.', 'error');
-          return res.status(429).json({ 
-            error: 'AI image generation skipped due to API limits',
-            humanImageURL: humanUploadResult.secure_url,
-            description: imageAnalysis.description
-          });
-        }
+    // An image provider can be picked per upload; IMAGE_PROVIDER is the default
+    const { provider } = req.body;
+    if (provider && !isImageProvider(provider)) {
+      return res.status(400).json({ error: `Unknown image provider: ${provider}` });
+    }
 
-        sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: AI generation complete`, 'success');
-
-        // Save to database
-        sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Finding optimal scheduling date...`, 'info');
-        const targetDate = await findNextAvailableDate();
-        sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Scheduled for ${targetDate.toLocaleDateString()}`, 'success');
-
-        const imagePairDoc = await saveImagePair(
-          targetDate,
-          humanUploadResult.secure_url,
-          aiImageUrl,
-          { 
-            description: imageAnalysis.description,
-            styleAnalysis: imageAnalysis.styleAnalysis,
-            metadata: {
-              ...imageAnalysis.metadata,
-              dimensions
-            },
-            remixedPrompt 
-          }
-        );
+    sendProgress(sessionId, `Processing image ${currentImageIndex}/${totalImages}: Optimizing image...`, 'info');
 
-        uploadSuccess = true;
-        if (currentImageIndex === totalImages) {
-          sendProgress(sessionId, '✨ All images processed and scheduled successfully! ✨', 'success');
-        } else {
-          sendProgress(sessionId, `✨ Image ${currentImageIndex}/${totalImages} completed successfully! ✨`, 'success');
-        }
-        
-        res.json({ 
-          message: 'Upload complete',
-          imagePair: imagePairDoc
-        });
-
-      } catch (error) {
-        console.error('Error in AI generation or save:', error);
-        sendProgress(sessionId, `Error: ${error.message}`, 'error');
-        
-        // Provide more specific error messages for DALL-E 3 issues
-        if (error.message && error.message.includes('timeout')) {
-          sendProgress(sessionId, 'DALL-E 3 generation timed out. This can take 30-60 seconds. Please try again.', 'error');
-          return res.status(408).json({ 
-            error: 'AI image generation timed out. DALL-E 3 generation can take 30-60 seconds. Please try again.',
-            humanImageURL: humanUploadResult.secure_url,
-            description: imageAnalysis.description
-          });
-        }
-        
-        if (error.message && error.message.includes('billing')) {
-          sendProgress(sessionId, 'OpenAI billing issue. Please check your OpenAI account billing status.', 'error');
-          return res.status(402).json({ 
-            error: 'OpenAI billing issue. Please check your OpenAI account billing status.',
-            humanImageURL: humanUploadResult.secure_url,
-            description: imageAnalysis.description
-          });
-        }
-        
-        if (error.message && error.message.includes('rate limit')) {
-          sendProgress(sessionId, 'OpenAI rate limit exceeded. Please wait a moment and try again.', 'error');
-          return res.status(429).json({ 
-            error: 'OpenAI rate limit exceeded. Please wait a moment and try again.',
-            humanImageURL: humanUploadResult.secure_url,
-            description: imageAnalysis.description
-          });
-        }
-        
-        throw error;
-      }
+    // Get image dimensions before resizing
+    const dimensions = await getImageDimensions(humanImage.buffer);
+
+    // Resize image before queueing, so the job only keeps the smaller copy
+    const resizedBuffer = await resizeImage(humanImage.buffer);
+    sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Optimization complete`, 'success');
+
+    const job = await enqueueJob({
+      type: GENERATE_PAIR_JOB,
+      payload: {
+        sessionId,
+        totalImages,
+        currentImageIndex,
+        dimensions,
+        provider: provider || null,
+        pairId: new mongoose.Types.ObjectId()
+      },
+      imageData: resizedBuffer,
+      createdBy: req.user.email || null
+    });
+    sendProgress(sessionId, `Image ${currentImageIndex}/${totalImages}: Queued for generation`, 'info');
 
-    } catch (error) {
-      console.error('Error in image processing:', error);
-      sendProgress(sessionId, `Error: ${error.message}`, 'error');
-      throw error;
-    }
+    res.status(202).json({ 
+      message: 'Upload queued',
+      jobId: job._id
+    });
 
   } catch (error) {
     console.error('Upload Error:', error);
     sendProgress(sessionId, `Failed to process image: ${error.message}`, 'error');
     
     res.status(500).json({ 
-      error: error.message || 'Failed to process image pair',
-      details: error.details || undefined
+      error: error.message || 'Failed to process image pair'
     });
-  } finally {
-    // Only close the connection if the upload was successful
-    // This allows error messages to be displayed before closing
-    if (uploadSuccess && global.progressStreams?.has(sessionId)) {
-      setTimeout(() => {
-        if (global.progressStreams?.has(sessionId)) {
-          sendProgress(sessionId, 'Closing connection...', 'info');
-          const stream = global.progressStreams.get(sessionId);
-          stream.end();
-          global.progressStreams.delete(sessionId);
-        }
-      }, 2000); // Give frontend time to process success message
-    }
   }
 });
 
-// Helper function to find next available date
-async function findNextAvailableDate() {
-  const targetDate = new Date();
-  targetDate.setUTCHours(5, 0, 0, 0); // Set to midnight EST
-
-  const today = new Date();
-  today.setUTCHours(5, 0, 0, 0);
-  if (targetDate < today) {
-    targetDate.setTime(today.getTime());
-  }
-
-  let foundDate = false;
-  while (!foundDate) {
-    const existingDoc = await ImagePairCollection.findOne({ 
-      scheduledDate: targetDate,
-      $expr: { $lt: [{ $size: "$pairs" }, 5] }
-    });
-
-    if (existingDoc || !(await ImagePairCollection.findOne({ scheduledDate: targetDate }))) {
-      foundDate = true;
-    } else {
-      targetDate.setDate(targetDate.getDate() + 1);
-    }
-  }
-
-  return targetDate;
-}
-
-// Helper function to save image pair
-async function saveImagePair(targetDate, humanImageURL, aiImageURL, metadata) {
-  return await ImagePairCollection.findOneAndUpdate(
-    { scheduledDate: targetDate },
-    {
-      $push: {
-        pairs: {
-          humanImageURL,
-          aiImageURL,
-          metadata: {
-            ...metadata,
-            generatedAt: new Date()
-          }
-        }
-      }
-    },
-    { 
-      upsert: true, 
-      new: true,
-      setDefaultsOnInsert: true
-    }
-  );
-}
-
 // Get image pairs for a date
 router.get('/get-image-pairs-by-date/:date', async (req, res) => {
   try {
-    const { date } = req.params;
-    if (!date) {
+    const day = parsePuzzleDay(req.params.date);
+    if (!day) {
       return res.status(400).json({ error: 'Date parameter is required' });
     }
 
-    const queryStart = new Date(date);
-    queryStart.setUTCHours(0, 0, 0, 0);
-
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999);
-
-    // Find the image pair within this date range
+    // Find the image pair within this puzzle day
     const imagePairs = await ImagePairCollection.findOne({
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+      scheduledDate: scheduledDateFilter(day)
     });
 
     if (!imagePairs) {
@@ -538,129 +318,191 @@ router.get('/get-image-pairs-by-date/:date', async (req, res) => {
   }
 });
 
-// Regenerate AI image for a pair
+// Regenerate AI image for a pair. Generation runs as a background job; poll
+// GET /jobs/:id for the new image.
 router.post('/regenerate-ai-image', async (req, res) => {
   console.log('Regenerate AI endpoint called with:', {
     body: req.body,
     headers: req.headers
   });
   try {
-    const { pairId, scheduledDate } = req.body;
+    const { pairId, scheduledDate, provider } = req.body;
     if (!pairId || !scheduledDate) {
       return res.status(400).json({ error: 'Pair ID and scheduled date are required.' });
     }
+    if (!mongoose.Types.ObjectId.isValid(pairId)) {
+      return res.status(400).json({ error: 'A valid pair ID is required.' });
+    }
+    if (provider && !isImageProvider(provider)) {
+      return res.status(400).json({ error: `Unknown image provider: ${provider}` });
+    }
 
-    // Use the same date range query as get-image-pairs-by-date
-    const queryStart = new Date(scheduledDate);
-    queryStart.setUTCHours(0, 0, 0, 0);
+    // Use the same puzzle-day range query as get-image-pairs-by-date
+    const day = parsePuzzleDay(scheduledDate);
+    if (!day) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
 
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999);
+    const doc = await ImagePairCollection.findOne(
+      { scheduledDate: scheduledDateFilter(day), 'pairs._id': pairId },
+      { _id: 1, status: 1 }
+    );
+    if (!doc) {
+      return res.status(404).json({ error: 'Pair not found for this date.' });
+    }
+    if (doc.status === 'live') {
+      return res.status(409).json({ error: 'Pairs on a live day cannot be changed.' });
+    }
 
-    // Find the document for the given date range
-    const doc = await ImagePairCollection.findOne({ 
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+    const job = await enqueueJob({
+      type: REGENERATE_AI_JOB,
+      payload: { pairId, provider: provider || null },
+      createdBy: req.user.email || null
     });
-    console.log('Found document:', doc);
-    if (!doc) {
-      return res.status(404).json({ error: 'No pairs found for this date.' });
+
+    res.status(202).json({ 
+      message: 'AI image regeneration queued',
+      jobId: job._id,
+      pairId
+    });
+
+  } catch (error) {
+    console.error('Regeneration Error:', error);
+    res.status(500).json({ error: 'Failed to queue AI image regeneration' });
+  }
+});
+
+// Image providers that uploads and regenerations can pick from
+router.get('/image-providers', (req, res) => {
+  res.json(listImageProviders());
+});
+
+// LLM mode, models by task and token usage since the server started
+router.get('/llm', (req, res) => {
+  try {
+    res.json(getLlmUsage());
+  } catch (error) {
+    console.error('Error reading LLM usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Status of a background job, e.g. an upload or regeneration
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'A valid job ID is required.' });
     }
 
-    // Find the specific pair using MongoDB's $elemMatch
-    const pair = doc.pairs.find(p => p._id.toString() === pairId);
-    console.log('Found pair:', pair);
-    if (!pair) {
-      return res.status(404).json({ error: 'Pair not found in the document.' });
+    const job = await Job.findById(req.params.id, { imageData: 0 });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found.' });
     }
 
-    // Get dimensions from the human image
-    const humanImageResponse = await axios.get(pair.humanImageURL, { responseType: 'arraybuffer' });
-    const humanImageBuffer = Buffer.from(humanImageResponse.data);
-    const metadata = await sharp(humanImageBuffer).metadata();
-    const dimensions = {
-      width: metadata.width,
-      height: metadata.height,
-      aspectRatio: metadata.width / metadata.height,
-      orientation: metadata.width > metadata.height ? 'landscape' : metadata.width < metadata.height ? 'portrait' : 'square'
-    };
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
 
-    // Generate new image description and AI image
-    const imageAnalysis = await generateImageDescription(pair.humanImageURL);
-    const { prompt: remixedPrompt } = await remixCaption({
-      ...imageAnalysis,
-      metadata: {
-        ...imageAnalysis.metadata,
-        dimensions
-      }
-    });
-    
-    const newAiImageUrl = await generateAiImage(remixedPrompt, dimensions, {
-      ...imageAnalysis.metadata,
-      dimensions,
-      imageType: imageAnalysis.metadata?.imageType || 'mixed_media',
-      subtype: imageAnalysis.metadata?.subtype || 'unknown'
-    });
-    if (!newAiImageUrl) {
-      return res.status(429).json({ error: 'AI image generation failed. Please try again later.' });
+// Recent background jobs, optionally for one batch or status
+router.get('/jobs', async (req, res) => {
+  try {
+    const { batchId, status } = req.query;
+    const filter = {};
+    if (batchId) filter.batchId = batchId;
+    if (status) filter.status = status;
+
+    const jobs = await Job.find(filter, { imageData: 0 }).sort({ createdAt: -1 }).limit(100);
+    res.json(jobs.map(formatJob));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Run a failed job again, resuming after its last completed step
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'A valid job ID is required.' });
     }
 
-    // Update the specific pair in the array
-    const updateResult = await ImagePairCollection.findOneAndUpdate(
-      { 
-        scheduledDate: { $gte: queryStart, $lte: queryEnd },
-        'pairs._id': pairId
-      },
-      {
-        $set: {
-          'pairs.$.aiImageURL': newAiImageUrl,
-          'pairs.$.metadata': {
-            description: imageAnalysis.description,
-            styleAnalysis: imageAnalysis.styleAnalysis,
-            remixedPrompt,
-            dimensions,
-            regeneratedAt: new Date()
-          }
-        }
-      },
-      { new: true }
-    );
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Only failed jobs can be retried.' });
+    }
 
-    if (!updateResult) {
-      return res.status(404).json({ error: 'Failed to update the pair.' });
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// List every AI image a pair has had, with the prompt and analysis behind each
+router.get('/pairs/:pairId/ai-versions', async (req, res) => {
+  try {
+    const { pairId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(pairId)) {
+      return res.status(400).json({ error: 'A valid pair ID is required.' });
     }
 
-    res.json({ 
-      message: 'AI image regenerated successfully',
-      newAiImageUrl,
-      pairId
-    });
+    const doc = await ImagePairCollection.findOne({ 'pairs._id': pairId }, { scheduledDate: 1, 'pairs.$': 1 });
+    if (!doc) {
+      return res.status(404).json({ error: 'Pair not found.' });
+    }
 
+    res.json({
+      pairId,
+      date: toPuzzleDay(doc.scheduledDate),
+      versions: listAiVersions(doc.pairs[0])
+    });
   } catch (error) {
-    console.error('Regeneration Error:', error);
-    
-    // Provide more specific error messages
-    if (error.message && error.message.includes('timeout')) {
-      return res.status(408).json({ 
-        error: 'AI image generation timed out. DALL-E 3 generation can take 30-60 seconds. Please try again.' 
-      });
+    console.error('Error fetching AI versions:', error);
+    res.status(500).json({ error: 'Failed to fetch AI versions' });
+  }
+});
+
+// Show an earlier (or later) AI version of a pair, e.g. when a regeneration came out worse
+router.put('/pairs/:pairId/ai-versions/:version', async (req, res) => {
+  try {
+    const { pairId } = req.params;
+    const versionNumber = Number(req.params.version);
+    if (!mongoose.Types.ObjectId.isValid(pairId) || !Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'A valid pair ID and version are required.' });
     }
-    
-    if (error.message && error.message.includes('billing')) {
-      return res.status(402).json({ 
-        error: 'OpenAI billing issue. Please check your OpenAI account billing status.' 
-      });
+
+    const doc = await ImagePairCollection.findOne({ 'pairs._id': pairId }, { status: 1, 'pairs.$': 1 });
+    if (!doc) {
+      return res.status(404).json({ error: 'Pair not found.' });
     }
-    
-    if (error.message && error.message.includes('rate limit')) {
-      return res.status(429).json({ 
-        error: 'OpenAI rate limit exceeded. Please wait a moment and try again.' 
-      });
+    if (doc.status === 'live') {
+      return res.status(409).json({ error: 'Pairs on a live day cannot be changed.' });
     }
-    
-    res.status(500).json({ 
-      error: 'Failed to regenerate AI image',
-      details: error.message || 'Unknown error occurred'
+
+    const fields = selectAiVersion(doc.pairs[0], versionNumber);
+    if (!fields) {
+      return res.status(404).json({ error: 'Version not found.' });
+    }
+
+    const updateResult = await ImagePairCollection.findOneAndUpdate(
+      { _id: doc._id, 'pairs._id': pairId },
+      { $set: toPositionalSet(fields) },
+      { new: true }
+    );
+    const updatedPair = updateResult.pairs.id(pairId);
+
+    console.log('AI version selected:', { pairId, version: versionNumber });
+    res.json({
+      message: `Version ${versionNumber} is now shown`,
+      pair: updatedPair,
+      versions: listAiVersions(updatedPair)
     });
+  } catch (error) {
+    console.error('Error selecting AI version:', error);
+    res.status(500).json({ error: 'Failed to select AI version' });
   }
 });
 
@@ -676,21 +518,24 @@ router.delete('/delete-pair', async (req, res) => {
       return res.status(400).json({ error: 'Pair ID and scheduled date are required.' });
     }
 
-    // Use the same date range query as get-image-pairs-by-date
-    const queryStart = new Date(scheduledDate);
-    queryStart.setUTCHours(0, 0, 0, 0);
-
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999);
+    // Use the same puzzle-day range query as get-image-pairs-by-date
+    const day = parsePuzzleDay(scheduledDate);
+    if (!day) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
+    const dayFilter = scheduledDateFilter(day);
 
     // First check if the document exists
     const doc = await ImagePairCollection.findOne({ 
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+      scheduledDate: dayFilter
     });
     
     if (!doc) {
       return res.status(404).json({ error: 'No pairs found for this date.' });
     }
+    if (doc.status === 'live') {
+      return res.status(409).json({ error: 'Pairs on a live day cannot be changed.' });
+    }
 
     // Check if the pair exists before attempting to delete
     const pairExists = doc.pairs.some(p => p._id.toString() === pairId);
@@ -698,9 +543,9 @@ router.delete('/delete-pair', async (req, res) => {
       return res.status(404).json({ error: 'Pair not found in the document.' });
     }
 
-    // Remove the pair using $pull
+    // Remove the pair using $pull, unless the day went live in the meantime
     const result = await ImagePairCollection.findOneAndUpdate(
-      { scheduledDate: { $gte: queryStart, $lte: queryEnd } },
+      { scheduledDate: dayFilter, status: { $ne: 'live' } },
       { $pull: { pairs: { _id: pairId } } },
       { new: true }
     );
@@ -732,16 +577,16 @@ router.post('/duplicate-pair', async (req, res) => {
       return res.status(400).json({ error: 'Pair ID and scheduled date are required.' });
     }
 
-    // Use the same date range query as get-image-pairs-by-date
-    const queryStart = new Date(scheduledDate);
-    queryStart.setUTCHours(0, 0, 0, 0);
-
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999);
+    // Use the same puzzle-day range query as get-image-pairs-by-date
+    const day = parsePuzzleDay(scheduledDate);
+    if (!day) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
+    const dayFilter = scheduledDateFilter(day);
 
     // Find the source document
     const sourceDoc = await ImagePairCollection.findOne({ 
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+      scheduledDate: dayFilter
     });
     
     if (!sourceDoc) {
@@ -754,8 +599,8 @@ router.post('/duplicate-pair', async (req, res) => {
       return res.status(404).json({ error: 'Pair not found in the document.' });
     }
 
-    // Find the next available date
-    const targetDate = await findNextAvailableDate();
+    // Find the next available date that fits the pair
+    const targetDay = await findNextAvailableDate(getPairDetails(sourcePair));
     
     // Create the duplicated pair (without the _id so MongoDB generates a new one)
     const duplicatedPair = {
@@ -773,8 +618,11 @@ router.post('/duplicate-pair', async (req, res) => {
 
     // Save the duplicated pair to the target date
     const result = await ImagePairCollection.findOneAndUpdate(
-      { scheduledDate: targetDate },
-      { $push: { pairs: duplicatedPair } },
+      { scheduledDate: scheduledDateFilter(targetDay), status: { $ne: 'live' } },
+      {
+        $push: { pairs: duplicatedPair },
+        $setOnInsert: { scheduledDate: getScheduledDate(targetDay) }
+      },
       { upsert: true, new: true }
     );
 
@@ -784,7 +632,7 @@ router.post('/duplicate-pair', async (req, res) => {
 
     res.json({ 
       message: 'Image pair duplicated successfully',
-      targetDate: targetDate.toISOString().split('T')[0],
+      targetDate: targetDay,
       duplicatedPair: result.pairs[result.pairs.length - 1] // Return the newly added pair
     });
 
@@ -794,36 +642,38 @@ router.post('/duplicate-pair', async (req, res) => {
   }
 });
 
-// Bulk regenerate AI images for selected pairs on a date
+// Bulk regenerate AI images for selected pairs on a date. Each pair gets its own
+// background job; they share a batch id for GET /jobs?batchId=.
 router.post('/bulk-regenerate-selected-ai-images', async (req, res) => {
   console.log('Bulk regenerate selected AI endpoint called with:', {
     body: req.body,
     headers: req.headers
   });
   try {
-    const { scheduledDate, pairIds } = req.body;
+    const { scheduledDate, pairIds, provider } = req.body;
     if (!scheduledDate || !pairIds || !Array.isArray(pairIds) || pairIds.length === 0) {
       return res.status(400).json({ error: 'Scheduled date and pair IDs array are required.' });
     }
+    if (provider && !isImageProvider(provider)) {
+      return res.status(400).json({ error: `Unknown image provider: ${provider}` });
+    }
 
-    // Use the same date range query as get-image-pairs-by-date
-    const queryStart = new Date(scheduledDate);
-    queryStart.setUTCHours(0, 0, 0, 0);
-
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999);
+    // Use the same puzzle-day range query as get-image-pairs-by-date
+    const day = parsePuzzleDay(scheduledDate);
+    if (!day) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
 
     // Find the document for the given date
     const doc = await ImagePairCollection.findOne({ 
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+      scheduledDate: scheduledDateFilter(day)
     });
     
     if (!doc) {
       return res.status(404).json({ error: 'No pairs found for this date.' });
     }
-
-    if (!doc.pairs || doc.pairs.length === 0) {
-      return res.status(404).json({ error: 'No pairs to regenerate.' });
+    if (doc.status === 'live') {
+      return res.status(409).json({ error: 'Pairs on a live day cannot be changed.' });
     }
 
     // Filter pairs to only those that are selected
@@ -833,99 +683,27 @@ router.post('/bulk-regenerate-selected-ai-images', async (req, res) => {
       return res.status(404).json({ error: 'No selected pairs found.' });
     }
 
-    console.log(`Regenerating ${selectedPairs.length} selected AI images...`);
-
-    // Regenerate AI images for selected pairs
-    const updatedPairs = [...doc.pairs]; // Copy all pairs
-    for (let i = 0; i < selectedPairs.length; i++) {
-      const pair = selectedPairs[i];
-      try {
-        console.log(`Regenerating selected pair ${i + 1}/${selectedPairs.length}: ${pair._id}`);
-
-        // Get dimensions from the human image
-        const humanImageResponse = await axios.get(pair.humanImageURL, { responseType: 'arraybuffer' });
-        const humanImageBuffer = Buffer.from(humanImageResponse.data);
-        const metadata = await sharp(humanImageBuffer).metadata();
-        const dimensions = {
-          width: metadata.width,
-          height: metadata.height,
-          aspectRatio: metadata.width / metadata.height,
-          orientation: metadata.width > metadata.height ? 'landscape' : metadata.width < metadata.height ? 'portrait' : 'square'
-        };
-
-        // Generate new image description and AI image
-        const imageAnalysis = await generateImageDescription(pair.humanImageURL);
-        const { prompt: remixedPrompt } = await remixCaption({
-          ...imageAnalysis,
-          metadata: {
-            ...imageAnalysis.metadata,
-            dimensions
-          }
-        });
-        
-        const newAiImageUrl = await generateAiImage(remixedPrompt, dimensions, {
-          ...imageAnalysis.metadata,
-          dimensions,
-          imageType: imageAnalysis.metadata?.imageType || 'mixed_media',
-          subtype: imageAnalysis.metadata?.subtype || 'unknown'
-        });
-
-        if (newAiImageUrl) {
-          // Update the specific pair in the updatedPairs array
-          const pairIndex = updatedPairs.findIndex(p => p._id.toString() === pair._id.toString());
-          if (pairIndex !== -1) {
-            updatedPairs[pairIndex] = {
-              ...updatedPairs[pairIndex].toObject(),
-              aiImageURL: newAiImageUrl,
-              metadata: {
-                description: imageAnalysis.description,
-                styleAnalysis: imageAnalysis.styleAnalysis,
-                remixedPrompt,
-                dimensions,
-                regeneratedAt: new Date()
-              }
-            };
-          }
-        } else {
-          console.warn(`Failed to regenerate AI image for pair ${pair._id}`);
-        }
-
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-      } catch (error) {
-        console.error(`Error regenerating pair ${pair._id}:`, error);
-        
-        // Provide more specific error messages for DALL-E 3 issues
-        if (error.message && error.message.includes('timeout')) {
-          console.error(`DALL-E 3 generation timed out for pair ${pair._id}. This can take 30-60 seconds.`);
-        } else if (error.message && error.message.includes('billing')) {
-          console.error(`OpenAI billing issue for pair ${pair._id}. Please check your OpenAI account billing status.`);
-        } else if (error.message && error.message.includes('rate limit')) {
-          console.error(`OpenAI rate limit exceeded for pair ${pair._id}. Please wait a moment and try again.`);
-        }
-      }
+    const batchId = crypto.randomUUID();
+    const jobs = [];
+    for (const pair of selectedPairs) {
+      jobs.push(await enqueueJob({
+        type: REGENERATE_AI_JOB,
+        payload: { pairId: pair._id, provider: provider || null },
+        batchId,
+        createdBy: req.user.email || null
+      }));
     }
 
-    // Update the document with updated pairs
-    const updateResult = await ImagePairCollection.findOneAndUpdate(
-      { scheduledDate: { $gte: queryStart, $lte: queryEnd } },
-      { $set: { pairs: updatedPairs } },
-      { new: true }
-    );
-
-    if (!updateResult) {
-      return res.status(404).json({ error: 'Failed to update the pairs.' });
-    }
-
-    res.json({ 
-      message: `Successfully regenerated ${selectedPairs.length} AI images`,
-      updatedPairs: updateResult.pairs
+    console.log(`Queued ${jobs.length} selected AI images for regeneration`);
+    res.status(202).json({ 
+      message: `Queued ${jobs.length} AI images for regeneration`,
+      batchId,
+      jobIds: jobs.map(job => job._id)
     });
 
   } catch (error) {
     console.error('Bulk Regeneration Error:', error);
-    res.status(500).json({ error: 'Failed to bulk regenerate AI images' });
+    res.status(500).json({ error: 'Failed to queue AI image regeneration' });
   }
 });
 
@@ -941,16 +719,16 @@ router.delete('/bulk-delete-selected-pairs', async (req, res) => {
       return res.status(400).json({ error: 'Scheduled date and pair IDs array are required.' });
     }
 
-    // Use the same date range query as get-image-pairs-by-date
-    const queryStart = new Date(scheduledDate);
-    queryStart.setUTCHours(0, 0, 0, 0);
-
-    const queryEnd = new Date(queryStart);
-    queryEnd.setUTCHours(23, 59, 59, 999);
+    // Use the same puzzle-day range query as get-image-pairs-by-date
+    const day = parsePuzzleDay(scheduledDate);
+    if (!day) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
+    const dayFilter = scheduledDateFilter(day);
 
     // First check if the document exists
     const doc = await ImagePairCollection.findOne({ 
-      scheduledDate: { $gte: queryStart, $lte: queryEnd }
+      scheduledDate: dayFilter
     });
     
     if (!doc) {
@@ -960,6 +738,9 @@ router.delete('/bulk-delete-selected-pairs', async (req, res) => {
     if (!doc.pairs || doc.pairs.length === 0) {
       return res.status(404).json({ error: 'No pairs to delete.' });
     }
+    if (doc.status === 'live') {
+      return res.status(409).json({ error: 'Pairs on a live day cannot be changed.' });
+    }
 
     // Filter pairs to only those that are selected
     const selectedPairs = doc.pairs.filter(pair => pairIds.includes(pair._id.toString()));
@@ -970,9 +751,9 @@ router.delete('/bulk-delete-selected-pairs', async (req, res) => {
 
     console.log(`Deleting ${selectedPairs.length} selected pairs for date ${scheduledDate}`);
 
-    // Remove selected pairs using $pull with $in operator
+    // Remove selected pairs using $pull with $in operator, unless the day went live in the meantime
     const result = await ImagePairCollection.findOneAndUpdate(
-      { scheduledDate: { $gte: queryStart, $lte: queryEnd } },
+      { scheduledDate: dayFilter, status: { $ne: 'live' } },
       { $pull: { pairs: { _id: { $in: pairIds } } } },
       { new: true }
     );
@@ -999,11 +780,12 @@ router.get('/image-pairs/:date', async (req, res) => {
     const { date } = req.params;
     console.log('Fetching image pairs for date:', date, 'from collection:', collectionName);
     
-    const targetDate = new Date(date);
-    targetDate.setUTCHours(5, 0, 0, 0); // Set to midnight EST
-    console.log('Target date (UTC):', targetDate.toISOString());
+    const day = parsePuzzleDay(date);
+    if (!day) {
+      return res.status(400).json({ error: 'Date parameter is required' });
+    }
 
-    const imagePair = await ImagePairCollection.findOne({ scheduledDate: targetDate });
+    const imagePair = await ImagePairCollection.findOne({ scheduledDate: scheduledDateFilter(day) });
     console.log('Found image pair document:', imagePair ? 'Yes' : 'No');
     
     if (!imagePair) {
@@ -1030,8 +812,8 @@ router.get('/pair-counts', async (req, res) => {
     console.log('Found', allImagePairs.length, 'image pair documents in database');
     
     allImagePairs.forEach(imagePair => {
-      // Always use UTC date string (YYYY-MM-DD)
-      const dateString = new Date(imagePair.scheduledDate).toISOString().slice(0, 10);
+      // Key by the puzzle day the document belongs to (YYYY-MM-DD)
+      const dateString = toPuzzleDay(imagePair.scheduledDate);
       const pairCount = imagePair.pairs ? imagePair.pairs.length : 0;
       pairCounts[dateString] = pairCount;
       console.log(`Date ${dateString}: ${pairCount} pairs`);
@@ -1045,4 +827,170 @@ router.get('/pair-counts', async (req, res) => {
   }
 });
 
+// Set the artist credit and reveal note players see after finishing a puzzle
+router.put('/pair-reveal', async (req, res) => {
+  try {
+    const { pairId, scheduledDate, artistName, artistUrl, revealNote } = req.body;
+    if (!pairId || !scheduledDate) {
+      return res.status(400).json({ error: 'Pair ID and scheduled date are required.' });
+    }
+
+    const day = parsePuzzleDay(scheduledDate);
+    if (!day) {
+      return res.status(400).json({ error: 'Scheduled date must be a valid date.' });
+    }
+
+    if (artistUrl && !/^https?:\/\//.test(artistUrl)) {
+      return res.status(400).json({ error: 'Artist URL must start with http:// or https://.' });
+    }
+
+    const update = {};
+    if (artistName !== undefined || artistUrl !== undefined) {
+      update['pairs.$.metadata.artistCredit'] = {
+        name: artistName ? String(artistName).trim() : null,
+        url: artistUrl || null
+      };
+    }
+    if (revealNote !== undefined) {
+      update['pairs.$.metadata.revealNote'] = revealNote ? String(revealNote).trim() : null;
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ error: 'Nothing to update.' });
+    }
+
+    const result = await ImagePairCollection.findOneAndUpdate(
+      { scheduledDate: scheduledDateFilter(day), 'pairs._id': pairId },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!result) {
+      return res.status(404).json({ error: 'Pair not found for this date.' });
+    }
+
+    const pair = result.pairs.find(p => p._id.toString() === pairId);
+    res.json({
+      message: 'Reveal details updated',
+      artistCredit: pair.metadata?.artistCredit || null,
+      revealNote: pair.metadata?.revealNote || null
+    });
+  } catch (error) {
+    console.error('Error updating reveal details:', error);
+    res.status(500).json({ error: 'Failed to update reveal details' });
+  }
+});
+
+// List the title, theme and curator note of each day in a range
+router.get('/themes', async (req, res) => {
+  try {
+    const from = parsePuzzleDay(req.query.from);
+    const to = parsePuzzleDay(req.query.to);
+    if (!from || !to || from > to) {
+      return res.status(400).json({ error: 'Valid from and to dates are required.' });
+    }
+
+    const days = await ImagePairCollection.find(
+      { scheduledDate: { $gte: scheduledDateFilter(from).$gte, $lte: scheduledDateFilter(to).$lte } },
+      { scheduledDate: 1, title: 1, theme: 1, curatorNote: 1, pairs: 1 }
+    ).sort({ scheduledDate: 1 }).lean();
+
+    res.json(days.map(day => ({
+      date: toPuzzleDay(day.scheduledDate),
+      title: day.title || null,
+      theme: day.theme?.name ? day.theme : null,
+      curatorNote: day.curatorNote || null,
+      pairCount: day.pairs.length
+    })));
+  } catch (error) {
+    console.error('Error fetching themes:', error);
+    res.status(500).json({ error: 'Failed to fetch themes' });
+  }
+});
+
+// Set the title, theme and curator note on every day in a range. Days without
+// a puzzle yet are created empty so uploads can fill them. Send theme: null to clear.
+router.put('/themes', async (req, res) => {
+  try {
+    const from = parsePuzzleDay(req.body.from);
+    const to = parsePuzzleDay(req.body.to || req.body.from);
+    const { title, theme, curatorNote } = req.body;
+
+    if (!from || !to || from > to) {
+      return res.status(400).json({ error: 'Valid from and to dates are required.' });
+    }
+
+    const MAX_THEME_DAYS = 62;
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      days.push(day);
+    }
+    if (days.length > MAX_THEME_DAYS) {
+      return res.status(400).json({ error: `A theme can cover at most ${MAX_THEME_DAYS} days.` });
+    }
+
+    if (theme && (typeof theme.name !== 'string' || !theme.name.trim())) {
+      return res.status(400).json({ error: 'Theme name is required.' });
+    }
+
+    const update = {};
+    if (title !== undefined) update.title = title || null;
+    if (curatorNote !== undefined) update.curatorNote = curatorNote || null;
+    if (theme !== undefined) {
+      update.theme = theme
+        ? {
+            name: theme.name.trim(),
+            imageTypes: Array.isArray(theme.imageTypes) ? theme.imageTypes : [],
+            styles: Array.isArray(theme.styles) ? theme.styles : []
+          }
+        : { name: null, imageTypes: [], styles: [] };
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ error: 'Nothing to update.' });
+    }
+
+    await ImagePairCollection.bulkWrite(days.map(day => ({
+      updateOne: {
+        filter: { scheduledDate: scheduledDateFilter(day) },
+        update: { $set: update, $setOnInsert: { scheduledDate: getScheduledDate(day) } },
+        upsert: true
+      }
+    })));
+
+    console.log('Theme applied:', { from, to, theme: update.theme?.name });
+    res.json({ message: 'Theme updated', from, to, days: days.length });
+  } catch (error) {
+    console.error('Error updating theme:', error);
+    res.status(500).json({ error: 'Failed to update theme' });
+  }
+});
+
+// Grace days keep everyone's streak intact on days without a playable puzzle
+router.get('/grace-days', adminController.getGraceDays);
+router.post('/grace-days', adminController.createGraceDay);
+router.delete('/grace-days/:date', adminController.deleteGraceDay);
+
+// Fool-rate analytics aggregated from player guesses
+router.get('/pair-stats', adminController.getPairStats);
+
+// Achievement definitions, and retroactive awards from history
+router.get('/achievements', adminController.getAchievements);
+router.post('/achievements', adminController.createAchievement);
+router.post('/achievements/recompute', adminController.recomputeAchievements);
+router.put('/achievements/:key', adminController.updateAchievement);
+
+// Recompute stats from recorded results; a dry run unless apply is set
+router.post('/stats/rebuild', adminController.rebuildStats);
+
+// Publishing: approved days go live when they start; see utils/publishUtils
+router.get('/publishing', adminController.getPublishingSchedule);
+router.post('/days/:date/approve', adminController.approveDay);
+router.post('/days/:date/unapprove', adminController.unapproveDay);
+
+// Pair review: every pair is signed off before its day can be approved
+router.get('/review-queue', adminController.getReviewQueue);
+router.post('/pairs/:pairId/review', adminController.reviewPair);
+router.get('/pair-reviews', adminController.getPairReviews);
+
 module.exports = router;
@@ -8,14 +8,47 @@ router.get('/test', (req, res) => {
   res.send('Game Routes are working!');
 });
 
+// Identify the player as a signed-in user or an anonymous guest
+const identifyPlayer = [
+  authMiddleware.optionalAuthenticateToken,
+  authMiddleware.attachTimeZone,
+  authMiddleware.optionalGuestToken,
+];
+const requireUser = [authMiddleware.authenticateToken, authMiddleware.attachTimeZone];
+
+// Issue a signed guest token so anonymous play is tracked server-side
+router.post('/guest-session', gameController.startGuestSession);
+
 // Fetch today's puzzle image pairs for the game
-router.get('/daily-puzzle', gameController.getDailyPuzzle);
+router.get('/daily-puzzle', identifyPlayer, gameController.getDailyPuzzle);
 
 // Check if the user has already played today's puzzle
-router.get('/check-today-status', gameController.checkIfPlayedToday);
+router.get('/check-today-status', identifyPlayer, gameController.checkIfPlayedToday);
+
+// Submit guesses for today's puzzle, graded against the server-side answer key
+router.post('/guess', identifyPlayer, gameController.submitGuess);
+
+// Versioned per-day game state; replaces the separate selection and attempt PUTs under /api/stats
+router.get('/state', identifyPlayer, gameController.getGameState);
+router.put('/state', identifyPlayer, gameController.updateGameState);
+
+// Timed mode: pairs are served one at a time and each answer is timed on the server
+router.post('/timed/next', identifyPlayer, gameController.getNextTimedPair);
+router.post('/timed/answer', identifyPlayer, gameController.submitTimedAnswer);
+
+// Archive of past puzzles, played without affecting daily streaks
+router.get('/archive', identifyPlayer, gameController.getArchive);
+router.get('/archive/:date', identifyPlayer, gameController.getArchivePuzzle);
+router.post('/archive/:date/guess', requireUser, gameController.submitArchiveGuess);
+
+// Shareable emoji grid for a finished daily puzzle
+router.get('/share/:date', identifyPlayer, gameController.getShareCard);
+
+// Post-game reveal of which image was AI, once the player has finished that day
+router.get('/reveal/:date', identifyPlayer, gameController.getReveal);
 
 // Record that the user has completed today's puzzle
-router.post('/mark-as-played', authMiddleware.authenticateToken, gameController.markAsPlayedToday);
+router.post('/mark-as-played', requireUser, gameController.markAsPlayedToday);
 
 // Handle undefined routes
 router.use('*', (req, res) => {
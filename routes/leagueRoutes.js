@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const leagueController = require('../controllers/leagueController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All league routes need a signed-in player
+router.use(authenticateToken);
+
+router.get('/', leagueController.getMyLeagues);
+router.post('/', leagueController.createLeague);
+router.post('/join', leagueController.joinLeague);
+
+// Current standings, past seasons and settings for one league
+router.get('/:leagueId', leagueController.getLeagueStandings);
+router.get('/:leagueId/seasons', leagueController.getLeagueSeasons);
+router.put('/:leagueId', leagueController.updateLeague);
+router.delete('/:leagueId/membership', leagueController.leaveLeague);
+
+module.exports = router;
@@ -3,22 +3,21 @@ const router = express.Router();
 const { 
   getUserStats, 
   updateUserStats, 
+  getHistory, 
+  getLeaderboard, 
+  getAchievements, 
   getTriesRemaining, 
   decrementTries, 
   getSelections, 
-  saveSelections, 
   getCompletedSelections, 
-  saveCompletedSelections, 
   resetTries,
-  saveAlreadyGuessed,
-  saveAttempts, 
-  saveCompletedAttempts 
+  rejectLegacyStateWrite 
 } = require('../controllers/statsController');
 
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, attachTimeZone } = require('../middleware/authMiddleware');
 
-// Protect all stats routes
-router.use(authenticateToken);
+// Protect all stats routes and resolve the player's local puzzle day
+router.use(authenticateToken, attachTimeZone);
 
 // Game attempt routes
 router.get('/tries', getTriesRemaining);
@@ -27,16 +26,23 @@ router.put('/tries/reset', resetTries);
 
 // Selection routes
 router.get('/selections', getSelections); 
-router.put('/selections', saveSelections); 
 router.get('/completed-selections', getCompletedSelections); 
-router.put('/completed-selections/:userId', saveCompletedSelections);
 
-router.put("/attempts", saveAttempts);
+// Replaced by the versioned GET/PUT /api/game/state
+router.put('/selections', rejectLegacyStateWrite);
+router.put('/completed-selections/:userId', rejectLegacyStateWrite);
+router.put('/attempts', rejectLegacyStateWrite);
+router.put('/completed-attempts', rejectLegacyStateWrite);
+router.put('/already-guessed', rejectLegacyStateWrite);
 
-router.put("/completed-attempts", saveCompletedAttempts);
+// Per-day results for the history calendar (?from=&to=&before=&limit=&mode=)
+router.get('/history', getHistory);
 
-// ✅ Route to save alreadyGuessed
-router.put("/already-guessed", saveAlreadyGuessed);
+// Fastest solves today, longest current streaks and best all-time accuracy
+router.get('/leaderboard', getLeaderboard);
+
+// Badges and which ones the user has unlocked
+router.get('/achievements', getAchievements);
 
 // User stats routes
 router.get('/:userId', getUserStats);
@@ -1,10 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const friendController = require('../controllers/friendController');
+const { authenticateToken, attachTimeZone } = require('../middleware/authMiddleware');
 
 // Theme preference routes
 router.get('/theme', authenticateToken, userController.getThemePreference);
 router.put('/theme', authenticateToken, userController.updateThemePreference);
 
+// Time zone used for the daily rollover and streaks
+router.get('/timezone', authenticateToken, userController.getTimeZone);
+router.put('/timezone', authenticateToken, userController.updateTimeZone);
+
+// Display name and opt-out for the leaderboards
+router.get('/leaderboard-settings', authenticateToken, userController.getLeaderboardSettings);
+router.put('/leaderboard-settings', authenticateToken, userController.updateLeaderboardSettings);
+
+// Friends: requests by email or invite code, and a friends-only view of today's results
+router.get('/friends/invite-code', authenticateToken, friendController.getInviteCode);
+router.get('/friends/requests', authenticateToken, friendController.getFriendRequests);
+router.post('/friends/requests', authenticateToken, friendController.sendFriendRequest);
+router.put('/friends/requests/:requestId', authenticateToken, friendController.respondToFriendRequest);
+router.get('/friends/today', authenticateToken, attachTimeZone, friendController.getFriendsToday);
+router.delete('/friends/:friendId', authenticateToken, friendController.removeFriend);
+
 module.exports = router;
@@ -0,0 +1,40 @@
+// One-off migration for the publishing workflow: days up to today that already
+// have pairs were served before approval existed, so mark them live. Future
+// days stay pending until an admin approves them.
+//
+// Usage: node scripts/publishExistingDays.js [--apply]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const ImagePair = require('../models/ImagePair');
+const { getPuzzleDay, scheduledDateFilter } = require('../utils/puzzleCalendar');
+
+const apply = process.argv.includes('--apply');
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const filter = {
+      scheduledDate: { $lte: scheduledDateFilter(getPuzzleDay()).$lte },
+      status: { $ne: 'live' },
+      'pairs.0': { $exists: true },
+    };
+
+    const count = await ImagePair.countDocuments(filter);
+    if (!apply) {
+      console.log(`${count} served days would be marked live. Run with --apply to update them.`);
+      return;
+    }
+
+    const { modifiedCount } = await ImagePair.updateMany(filter, { $set: { status: 'live' } });
+    console.log(`${modifiedCount} served days marked live`);
+  } catch (error) {
+    console.error('Error publishing existing days:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
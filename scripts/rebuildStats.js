@@ -0,0 +1,75 @@
+// Recompute Stats from recorded daily results.
+//
+// Usage:
+//   node scripts/rebuildStats.js --user <userId|email>   Dry run for one user
+//   node scripts/rebuildStats.js --all                   Dry run for every user
+//   Add --apply to save the rebuilt values. Users who played before results were
+//   recorded are flagged and left unchanged.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { rebuildUserStats, rebuildAllStats } = require('../utils/statsRebuildUtils');
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const all = args.includes('--all');
+const userArg = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+
+// Print one user's differences as a readable table
+const printReport = (report) => {
+  const fields = Object.keys(report.differences);
+  console.log(`\nUser ${report.userId}: ${report.gamesFound} completed games in ${report.resultsFound} results`);
+  if (report.incompleteHistory) {
+    console.log('  History is incomplete (played before results were recorded); stats are never rebuilt');
+  }
+
+  if (!fields.length) {
+    console.log('  Stats match history');
+    return;
+  }
+
+  fields.forEach(field => {
+    const { current, rebuilt } = report.differences[field];
+    console.log(`  ${field}: ${JSON.stringify(current)} -> ${JSON.stringify(rebuilt)}`);
+  });
+  console.log(report.applied ? '  Fixed' : report.incompleteHistory ? '  Not changed' : '  Not changed (dry run)');
+};
+
+const run = async () => {
+  if (!all && !userArg) {
+    console.error('Pass --user <userId|email> or --all, and --apply to save changes');
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    if (all) {
+      const summary = await rebuildAllStats({ apply });
+      summary.reports.forEach(printReport);
+      console.log(`\nChecked ${summary.checked} users, ${summary.mismatched} mismatched, ${summary.applied} fixed, ${summary.incompleteHistory} with incomplete history`);
+      return;
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(userArg)
+      ? await User.findById(userArg, { _id: 1 }).lean()
+      : await User.findOne({ email: userArg }, { _id: 1 }).lean();
+
+    const report = user && await rebuildUserStats(user._id, { apply });
+    if (!report) {
+      console.error(`User not found: ${userArg}`);
+      process.exitCode = 1;
+      return;
+    }
+    printReport(report);
+  } catch (error) {
+    console.error('Error rebuilding stats:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
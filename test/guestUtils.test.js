@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const GuestSession = require('../models/GuestSession');
+const GameResult = require('../models/GameResult');
+const GameState = require('../models/GameState');
+const Stats = require('../models/Stats');
+const User = require('../models/User');
+const { createStats } = require('../utils/statsUtils');
+const { signGuestToken, mergeGuestIntoUser } = require('../utils/guestUtils');
+
+// A stand-in for the collections mergeGuestIntoUser touches, kept in memory so
+// a merge can be interrupted and run again against the same data
+const createStore = ({ guestId, userId, userStats, session, results }) => {
+  const store = {
+    session: { guestId, mergedInto: null, mergedAt: null, ...session },
+    stats: userStats ? createStats(userId).set(userStats).toObject() : null,
+    results: results.map(result => ({ _id: new mongoose.Types.ObjectId(), mode: 'daily', ...result })),
+    failResultSaves: false,
+  };
+
+  const persist = (doc, save) => {
+    doc.save = async function () {
+      save(this.toObject());
+      return this;
+    };
+    return doc;
+  };
+
+  test.mock.method(GuestSession, 'findOneAndUpdate', async (filter, update) => {
+    const { mergedInto, mergedAt } = store.session;
+    if (mergedAt || (mergedInto && String(mergedInto) !== String(filter.mergedInto.$in[1]))) {
+      return null;
+    }
+    Object.assign(store.session, update.$set);
+    return persist(GuestSession.hydrate(store.session), saved => Object.assign(store.session, saved));
+  });
+
+  test.mock.method(User, 'findById', () => ({ lean: async () => ({ timeZone: 'America/New_York' }) }));
+
+  test.mock.method(Stats, 'findOne', async () =>
+    store.stats && persist(Stats.hydrate(store.stats), saved => { store.stats = saved; })
+  );
+
+  test.mock.method(GameResult, 'find', async (filter) =>
+    store.results
+      .filter(result => result.guestId === filter.guestId)
+      .map(result => persist(GameResult.hydrate(result), saved => {
+        if (store.failResultSaves) {
+          throw new Error('Connection lost');
+        }
+        store.results = store.results.map(stored => (String(stored._id) === String(saved._id) ? saved : stored));
+      }))
+  );
+
+  test.mock.method(GameResult, 'exists', async ({ userId: owner, date, mode }) =>
+    store.results.some(result => String(result.userId) === String(owner) && result.date === date && result.mode === mode)
+  );
+
+  test.mock.method(GameResult, 'deleteOne', async ({ _id }) => {
+    store.results = store.results.filter(result => String(result._id) !== String(_id));
+  });
+
+  test.mock.method(GameState, 'exists', async () => false);
+
+  return store;
+};
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('a merge that failed part way is finished by the next login without counting twice', async () => {
+  const guestId = 'guest-1';
+  const userId = new mongoose.Types.ObjectId();
+  const store = createStore({
+    guestId,
+    userId,
+    userStats: { gamesPlayed: 10, perfectPuzzles: 5, currentStreak: 1, lastPlayedDate: '2025-03-01' },
+    session: { lastPlayedDate: '2025-03-09', currentStreak: 2, perfectStreak: 1, maxStreak: 2 },
+    results: [
+      { guestId, date: '2025-03-08', completedAt: new Date(), isPerfect: true, mistakes: 0 },
+      { guestId, date: '2025-03-09', completedAt: new Date(), isPerfect: false, mistakes: 2 },
+    ],
+  });
+  const guestToken = signGuestToken(guestId);
+
+  store.failResultSaves = true;
+  await assert.rejects(mergeGuestIntoUser(guestToken, userId), /Connection lost/);
+
+  assert.equal(store.stats.gamesPlayed, 12);
+  assert.deepEqual(store.stats.mergedGuestIds, [guestId]);
+  assert.equal(store.session.mergedAt, null);
+
+  store.failResultSaves = false;
+  const summary = await mergeGuestIntoUser(guestToken, userId);
+
+  assert.deepEqual(summary, { guestId, movedResults: 2 });
+  assert.equal(store.stats.gamesPlayed, 12);
+  assert.equal(store.stats.perfectPuzzles, 6);
+  assert.equal(store.stats.currentStreak, 2);
+  assert.equal(store.stats.lastPlayedDate, '2025-03-09');
+  assert.ok(store.results.every(result => String(result.userId) === String(userId) && !result.guestId));
+  assert.ok(store.session.mergedAt instanceof Date);
+
+  // Once done, the session is never merged again
+  assert.equal(await mergeGuestIntoUser(guestToken, userId), null);
+  assert.equal(store.stats.gamesPlayed, 12);
+});
+
+test('guest results for days the user already played are dropped', async () => {
+  const guestId = 'guest-2';
+  const userId = new mongoose.Types.ObjectId();
+  const store = createStore({
+    guestId,
+    userId,
+    userStats: { gamesPlayed: 1, lastPlayedDate: '2025-03-08', currentStreak: 1 },
+    session: { lastPlayedDate: '2025-03-09', currentStreak: 2, maxStreak: 2 },
+    results: [
+      { userId, date: '2025-03-08', completedAt: new Date(), isPerfect: true, mistakes: 0 },
+      { guestId, date: '2025-03-08', completedAt: new Date(), isPerfect: true, mistakes: 0 },
+      { guestId, date: '2025-03-09', completedAt: new Date(), isPerfect: true, mistakes: 0 },
+    ],
+  });
+
+  const summary = await mergeGuestIntoUser(signGuestToken(guestId), userId);
+
+  assert.deepEqual(summary, { guestId, movedResults: 1 });
+  assert.equal(store.stats.gamesPlayed, 2);
+  assert.equal(store.results.length, 2);
+  assert.deepEqual(store.results.map(result => result.date).sort(), ['2025-03-08', '2025-03-09']);
+});
+
+test('a session claimed by another user is left alone', async () => {
+  const guestId = 'guest-3';
+  const userId = new mongoose.Types.ObjectId();
+  const store = createStore({
+    guestId,
+    userId,
+    userStats: { gamesPlayed: 3 },
+    session: { mergedInto: new mongoose.Types.ObjectId(), lastPlayedDate: '2025-03-09', currentStreak: 1 },
+    results: [{ guestId, date: '2025-03-09', completedAt: new Date(), isPerfect: true, mistakes: 0 }],
+  });
+
+  assert.equal(await mergeGuestIntoUser(signGuestToken(guestId), userId), null);
+  assert.equal(store.stats.gamesPlayed, 3);
+  assert.equal(store.results[0].guestId, guestId);
+});
+
+test('an invalid guest token merges nothing', async () => {
+  assert.equal(await mergeGuestIntoUser('not-a-token', new mongoose.Types.ObjectId()), null);
+  assert.equal(await mergeGuestIntoUser(undefined, new mongoose.Types.ObjectId()), null);
+});
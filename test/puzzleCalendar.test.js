@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addDays, daysBetween, getTimeZoneOffset } = require('../utils/dateUtils');
+const {
+  getPlayerPuzzleDay,
+  getScheduledDate,
+  getPuzzleDayRange,
+  toPuzzleDay,
+  parsePuzzleDay,
+} = require('../utils/puzzleCalendar');
+const { EARLIEST_TIME_ZONE, LATEST_TIME_ZONE } = require('../utils/publishUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('puzzle days start at midnight New York time in winter and summer', () => {
+  assert.equal(getScheduledDate('2025-01-15').toISOString(), '2025-01-15T05:00:00.000Z');
+  assert.equal(getScheduledDate('2025-07-15').toISOString(), '2025-07-15T04:00:00.000Z');
+});
+
+test('the day clocks go forward is 23 hours long', () => {
+  // DST starts at 02:00 on 2025-03-09 in New York
+  assert.equal(getScheduledDate('2025-03-09').toISOString(), '2025-03-09T05:00:00.000Z');
+  assert.equal(getScheduledDate('2025-03-10').toISOString(), '2025-03-10T04:00:00.000Z');
+
+  const { start, end } = getPuzzleDayRange('2025-03-09');
+  assert.equal(end - start + 1, 23 * HOUR_MS);
+});
+
+test('the day clocks go back is 25 hours long', () => {
+  // DST ends at 02:00 on 2025-11-02 in New York
+  assert.equal(getScheduledDate('2025-11-02').toISOString(), '2025-11-02T04:00:00.000Z');
+  assert.equal(getScheduledDate('2025-11-03').toISOString(), '2025-11-03T05:00:00.000Z');
+
+  const { start, end } = getPuzzleDayRange('2025-11-02');
+  assert.equal(end - start + 1, 25 * HOUR_MS);
+});
+
+test('every instant of a DST day maps back to that day', () => {
+  ['2025-03-09', '2025-11-02'].forEach(day => {
+    const { start, end } = getPuzzleDayRange(day);
+    assert.equal(toPuzzleDay(start), day);
+    assert.equal(toPuzzleDay(end), day);
+    assert.equal(toPuzzleDay(new Date(start.getTime() - 1)), addDays(day, -1));
+    assert.equal(toPuzzleDay(new Date(end.getTime() + 1)), addDays(day, 1));
+  });
+});
+
+test('scheduled dates stored at 05:00 UTC all year still map to their day', () => {
+  assert.equal(toPuzzleDay(new Date('2025-07-15T05:00:00.000Z')), '2025-07-15');
+});
+
+test('offsets follow DST', () => {
+  assert.equal(getTimeZoneOffset(new Date('2025-03-09T06:59:59Z'), 'America/New_York'), -5 * HOUR_MS);
+  assert.equal(getTimeZoneOffset(new Date('2025-03-09T07:00:00Z'), 'America/New_York'), -4 * HOUR_MS);
+});
+
+test('players roll over at their own midnight', () => {
+  const instant = new Date('2025-03-09T06:30:00Z');
+  assert.equal(getPlayerPuzzleDay('America/New_York', instant), '2025-03-09');
+  assert.equal(getPlayerPuzzleDay('America/Los_Angeles', instant), '2025-03-08');
+  assert.equal(getPlayerPuzzleDay('Europe/London', instant), '2025-03-09');
+  assert.equal(getPlayerPuzzleDay(null, instant), '2025-03-09');
+});
+
+test('a player in Europe keeps their day across the US clock change', () => {
+  // 23:30 in London on 2025-03-09, after New York has moved its clocks
+  assert.equal(getPlayerPuzzleDay('Europe/London', new Date('2025-03-09T23:30:00Z')), '2025-03-09');
+});
+
+test('the earliest and latest zones are a day apart or more', () => {
+  const instant = new Date('2025-06-01T11:30:00Z');
+  const latestDay = getPlayerPuzzleDay(EARLIEST_TIME_ZONE, instant);
+  const earliestDay = getPlayerPuzzleDay(LATEST_TIME_ZONE, instant);
+
+  assert.equal(latestDay, '2025-06-02');
+  assert.equal(earliestDay, '2025-05-31');
+  assert.ok(daysBetween(earliestDay, getPlayerPuzzleDay('America/New_York', instant)) >= 0);
+});
+
+test('admin dates keep the calendar day that was picked', () => {
+  assert.equal(parsePuzzleDay('2025-03-09'), '2025-03-09');
+  assert.equal(parsePuzzleDay('2025-03-09T00:00:00.000Z'), '2025-03-09');
+  assert.equal(parsePuzzleDay('2025-02-30'), null);
+  assert.equal(parsePuzzleDay(20250309), null);
+});
+
+test('adding days crosses month and year ends', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+  assert.equal(addDays('2025-03-01', -1), '2025-02-28');
+  assert.equal(daysBetween('2025-03-08', '2025-03-10'), 2);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.PUZZLE_SECRET = 'test-puzzle-secret';
+
+const {
+  SLOTS,
+  getHumanSlot,
+  toPublicPairs,
+  isValidSelections,
+  gradeSelections,
+} = require('../utils/puzzleUtils');
+
+const DAY = '2025-03-09';
+
+const makePairs = (count) => Array.from({ length: count }, (_, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  humanImageURL: `https://example.com/human-${index}.jpg`,
+  aiImageURL: `https://example.com/ai-${index}.jpg`,
+}));
+
+const otherSlot = (slot) => SLOTS.find(candidate => candidate !== slot);
+
+test('picking the human slot for every pair is all correct', () => {
+  const pairs = makePairs(5);
+  const selections = pairs.map(pair => getHumanSlot(DAY, pair));
+
+  assert.deepEqual(gradeSelections(DAY, pairs, selections), [true, true, true, true, true]);
+});
+
+test('each wrong pick is graded on its own', () => {
+  const pairs = makePairs(5);
+  const selections = pairs.map((pair, index) => {
+    const humanSlot = getHumanSlot(DAY, pair);
+    return index % 2 ? otherSlot(humanSlot) : humanSlot;
+  });
+
+  assert.deepEqual(gradeSelections(DAY, pairs, selections), [true, false, true, false, true]);
+});
+
+test('the answer key is stable for a day and never sent to the client', () => {
+  const pairs = makePairs(5);
+  const publicPairs = toPublicPairs(DAY, pairs);
+
+  assert.deepEqual(toPublicPairs(DAY, pairs), publicPairs);
+  publicPairs.forEach((publicPair, index) => {
+    assert.deepEqual(Object.keys(publicPair).sort(), ['left', 'pairIndex', 'right']);
+    const humanSlot = getHumanSlot(DAY, pairs[index]);
+    assert.equal(publicPair[humanSlot], pairs[index].humanImageURL);
+    assert.equal(publicPair[otherSlot(humanSlot)], pairs[index].aiImageURL);
+  });
+});
+
+test('the same pair can sit in a different slot on another day', () => {
+  const pairs = makePairs(20);
+  const slotsToday = pairs.map(pair => getHumanSlot(DAY, pair));
+  const slotsTomorrow = pairs.map(pair => getHumanSlot('2025-03-10', pair));
+
+  assert.notDeepEqual(slotsToday, slotsTomorrow);
+});
+
+test('missing selections are graded wrong', () => {
+  const pairs = makePairs(3);
+  const selections = [getHumanSlot(DAY, pairs[0])];
+
+  assert.deepEqual(gradeSelections(DAY, pairs, selections), [true, false, false]);
+});
+
+test('selections must hold one slot per pair', () => {
+  assert.equal(isValidSelections(['left', 'right'], 2), true);
+  assert.equal(isValidSelections(['left'], 2), false);
+  assert.equal(isValidSelections(['left', 'middle'], 2), false);
+  assert.equal(isValidSelections('left,right', 2), false);
+  assert.equal(isValidSelections(null, 0), false);
+});
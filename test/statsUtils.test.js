@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  MAX_STREAK_FREEZES,
+  createStats,
+  canBridgeMissedDays,
+  applyGameResult,
+  applyAnswerTimes,
+  applyFastestPerfect,
+} = require('../utils/statsUtils');
+
+const perfect = { correctAnswers: 5, totalQuestions: 5 };
+const twoMistakes = { correctAnswers: 3, totalQuestions: 5 };
+
+const newStats = (fields = {}) => Object.assign(createStats(new mongoose.Types.ObjectId()), fields);
+
+test('the first game starts a streak', () => {
+  const stats = applyGameResult(newStats(), { ...perfect, today: '2025-03-09' });
+
+  assert.equal(stats.gamesPlayed, 1);
+  assert.equal(stats.currentStreak, 1);
+  assert.equal(stats.perfectStreak, 1);
+  assert.equal(stats.perfectPuzzles, 1);
+  assert.equal(stats.winPercentage, 100);
+  assert.equal(stats.lastPlayedDate, '2025-03-09');
+  assert.equal(stats.mistakeDistribution[0], 1);
+});
+
+test('playing the next day continues the streak, across a DST change', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-08', currentStreak: 4, perfectStreak: 4, maxStreak: 4 });
+  applyGameResult(stats, { ...twoMistakes, today: '2025-03-09' });
+
+  assert.equal(stats.currentStreak, 5);
+  assert.equal(stats.perfectStreak, 0);
+  assert.equal(stats.maxStreak, 5);
+  assert.equal(stats.mistakeDistribution[2], 1);
+});
+
+test('a streak continues across month and year ends', () => {
+  const stats = newStats({ lastPlayedDate: '2024-12-31', currentStreak: 2 });
+  applyGameResult(stats, { ...perfect, today: '2025-01-01' });
+
+  assert.equal(stats.currentStreak, 3);
+});
+
+test('a missed day spends a streak freeze', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-07', currentStreak: 3, streakFreezes: 1 });
+  applyGameResult(stats, { ...perfect, today: '2025-03-09' });
+
+  assert.equal(stats.currentStreak, 4);
+  assert.equal(stats.streakFreezes, 0);
+  assert.deepEqual([...stats.frozenDates], ['2025-03-08']);
+});
+
+test('a gap longer than the freezes breaks the streak and keeps the freezes', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-05', currentStreak: 3, streakFreezes: 2 });
+  applyGameResult(stats, { ...perfect, today: '2025-03-09' });
+
+  assert.equal(stats.currentStreak, 1);
+  assert.equal(stats.streakFreezes, 2);
+  assert.deepEqual([...stats.frozenDates], []);
+});
+
+test('grace days bridge a gap without spending freezes', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-06', currentStreak: 3, streakFreezes: 1 });
+  applyGameResult(stats, { ...perfect, today: '2025-03-09', graceDays: ['2025-03-07'] });
+
+  assert.equal(stats.currentStreak, 4);
+  assert.equal(stats.streakFreezes, 0);
+  assert.deepEqual([...stats.frozenDates], ['2025-03-08']);
+});
+
+test('grace days alone bridge the whole gap', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-06', currentStreak: 3 });
+  applyGameResult(stats, { ...perfect, today: '2025-03-09', graceDays: ['2025-03-07', '2025-03-08'] });
+
+  assert.equal(stats.currentStreak, 4);
+  assert.equal(stats.streakFreezes, 0);
+});
+
+test('canBridgeMissedDays checks without spending', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-07', streakFreezes: 1 });
+
+  assert.equal(canBridgeMissedDays(stats, '2025-03-09', []), true);
+  assert.equal(canBridgeMissedDays(stats, '2025-03-10', []), false);
+  assert.equal(canBridgeMissedDays(stats, '2025-03-10', ['2025-03-08']), true);
+  assert.equal(stats.streakFreezes, 1);
+  assert.equal(canBridgeMissedDays(newStats(), '2025-03-09', []), false);
+});
+
+test('a seven-day streak earns a freeze, up to the limit', () => {
+  const stats = newStats({ lastPlayedDate: '2025-03-08', currentStreak: 6 });
+  applyGameResult(stats, { ...twoMistakes, today: '2025-03-09' });
+  assert.equal(stats.streakFreezes, 1);
+
+  const full = newStats({ lastPlayedDate: '2025-03-08', currentStreak: 6, streakFreezes: MAX_STREAK_FREEZES });
+  applyGameResult(full, { ...twoMistakes, today: '2025-03-09' });
+  assert.equal(full.streakFreezes, MAX_STREAK_FREEZES);
+});
+
+test('every fifth perfect puzzle earns a freeze', () => {
+  const stats = newStats({ perfectPuzzles: 4, gamesPlayed: 4 });
+  applyGameResult(stats, { ...perfect, today: '2025-03-09' });
+
+  assert.equal(stats.perfectPuzzles, 5);
+  assert.equal(stats.streakFreezes, 1);
+});
+
+test('answer times roll into a weighted average', () => {
+  const stats = newStats({ timedAnswers: 5, averageAnswerTimeMs: 2000 });
+  applyAnswerTimes(stats, [1000, 1000, 1000, 1000, 1000]);
+
+  assert.equal(stats.timedAnswers, 10);
+  assert.equal(stats.averageAnswerTimeMs, 1500);
+});
+
+test('only fully timed perfect games set the fastest time', () => {
+  const stats = newStats();
+
+  applyFastestPerfect(stats, [[1000, 2000], []]);
+  assert.equal(stats.fastestPerfectMs, null);
+
+  applyFastestPerfect(stats, [[1000, 2000], [500]]);
+  assert.equal(stats.fastestPerfectMs, 3500);
+
+  applyFastestPerfect(stats, [[4000]]);
+  assert.equal(stats.fastestPerfectMs, 3500);
+});
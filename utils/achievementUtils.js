@@ -0,0 +1,269 @@
+const Achievement = require('../models/Achievement');
+const UserAchievement = require('../models/UserAchievement');
+const GameResult = require('../models/GameResult');
+const Stats = require('../models/Stats');
+const { daysBetween } = require('./dateUtils');
+const { getSeasonStart, getSeasonEnd } = require('./leagueUtils');
+
+// Badges every deployment starts with. Admins can edit or add to these.
+const DEFAULT_ACHIEVEMENTS = [
+  {
+    key: 'streak-7',
+    name: 'Week Streak',
+    description: 'Play 7 days in a row.',
+    icon: '🔥',
+    rule: { metric: 'streak', threshold: 7 },
+  },
+  {
+    key: 'perfect-10',
+    name: 'Sharp Eye',
+    description: 'Solve 10 puzzles without a mistake.',
+    icon: '🎯',
+    rule: { metric: 'perfectPuzzles', threshold: 10 },
+  },
+  {
+    key: 'unfooled-week',
+    name: 'Never Fooled',
+    description: 'Get every pair right on the first try every day from Monday to Sunday.',
+    icon: '🧐',
+    rule: { metric: 'perfectDays', threshold: 0, period: 'week' },
+  },
+  {
+    key: 'full-month',
+    name: 'Every Single Day',
+    description: 'Play every day of a calendar month.',
+    icon: '📅',
+    rule: { metric: 'daysPlayed', threshold: 0, period: 'month' },
+  },
+];
+
+// Seed the defaults once per process; existing entries are left as admins set them
+let defaultsSeeded = null;
+const seedDefaultAchievements = () => {
+  if (!defaultsSeeded) {
+    defaultsSeeded = Achievement.bulkWrite(
+      DEFAULT_ACHIEVEMENTS.map(achievement => ({
+        updateOne: {
+          filter: { key: achievement.key },
+          update: { $setOnInsert: achievement },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    ).catch(error => {
+      defaultsSeeded = null;
+      throw error;
+    });
+  }
+  return defaultsSeeded;
+};
+
+// Stat metrics read the all-time best so a badge is never missed between plays
+const STAT_FIELDS = {
+  streak: 'maxStreak',
+  perfectStreak: 'maxPerfectStreak',
+  perfectPuzzles: 'perfectPuzzles',
+  gamesPlayed: 'gamesPlayed',
+};
+
+/**
+ * Check whether any calendar week or month in a set of results meets a period rule
+ * @param {Object} rule Achievement rule with a period metric
+ * @param {Array<Object>} results Completed daily GameResults as { date, isPerfect, attemptsUsed }
+ * @returns {boolean} Whether the rule is met
+ */
+const meetsPeriodRule = (rule, results) => {
+  const cadence = rule.period === 'month' ? 'monthly' : 'weekly';
+  const countsByPeriod = new Map();
+
+  results.forEach(result => {
+    // isPerfect describes the last attempt, so a day only counts if that was the first
+    if (rule.metric === 'perfectDays' && !(result.isPerfect && result.attemptsUsed === 1)) {
+      return;
+    }
+    const periodStart = getSeasonStart(result.date, cadence);
+    countsByPeriod.set(periodStart, (countsByPeriod.get(periodStart) || 0) + 1);
+  });
+
+  for (const [periodStart, count] of countsByPeriod) {
+    const target = rule.threshold || daysBetween(periodStart, getSeasonEnd(periodStart, cadence)) + 1;
+    if (count >= target) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Check whether a user meets an achievement's rule
+ * @param {Object} achievement Achievement document
+ * @param {Object} stats User's Stats document
+ * @param {Array<Object>} results Completed daily GameResults to test period rules against
+ * @returns {boolean} Whether the achievement is unlocked
+ */
+const meetsRule = (achievement, stats, results) => {
+  const { rule } = achievement;
+
+  if (Achievement.STAT_METRICS.includes(rule.metric)) {
+    return (stats[STAT_FIELDS[rule.metric]] || 0) >= rule.threshold;
+  }
+  return meetsPeriodRule(rule, results);
+};
+
+/**
+ * Evaluate every active achievement for a user and award the ones they now meet
+ * @param {string} userId User to evaluate
+ * @param {Object} [options]
+ * @param {Object} [options.stats] User's Stats document, loaded if not given
+ * @param {string} [options.today] Puzzle day of the result just recorded. Only the
+ *   week and month containing it are checked; without it all history is scanned.
+ * @returns {Promise<Array<Object>>} Newly unlocked achievements as { key, name, description, icon }
+ */
+const evaluateAchievements = async (userId, { stats, today } = {}) => {
+  await seedDefaultAchievements();
+
+  const playerStats = stats || await Stats.findOne({ userId });
+  if (!playerStats) {
+    return [];
+  }
+
+  const [achievements, unlocked] = await Promise.all([
+    Achievement.find({ active: true }).lean(),
+    UserAchievement.find({ userId }, { achievementId: 1 }).lean(),
+  ]);
+
+  const unlockedIds = new Set(unlocked.map(entry => String(entry.achievementId)));
+  const pending = achievements.filter(achievement => !unlockedIds.has(String(achievement._id)));
+  if (!pending.length) {
+    return [];
+  }
+
+  // Period rules only need the results of the periods that could have changed
+  let results = [];
+  if (pending.some(achievement => Achievement.PERIOD_METRICS.includes(achievement.rule.metric))) {
+    const query = { userId, mode: 'daily', completedAt: { $ne: null } };
+    if (today) {
+      const earliestStart = [getSeasonStart(today, 'weekly'), getSeasonStart(today, 'monthly')].sort()[0];
+      query.date = { $gte: earliestStart, $lte: today };
+    }
+    results = await GameResult.find(query, { date: 1, isPerfect: 1, attemptsUsed: 1 }).lean();
+  }
+
+  const earned = pending.filter(achievement => meetsRule(achievement, playerStats, results));
+  const newlyUnlocked = [];
+
+  for (const achievement of earned) {
+    // The unique index keeps concurrent evaluations from awarding twice
+    const awarded = await UserAchievement.create({
+      userId,
+      achievementId: achievement._id,
+      key: achievement.key,
+      retroactive: !today,
+    }).catch(error => {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    });
+
+    if (awarded) {
+      const { key, name, description, icon } = achievement;
+      newlyUnlocked.push({ key, name, description, icon });
+    }
+  }
+
+  if (newlyUnlocked.length) {
+    console.log('Achievements unlocked:', { userId, keys: newlyUnlocked.map(achievement => achievement.key) });
+  }
+  return newlyUnlocked;
+};
+
+/**
+ * Take back perfect-day badges a user's full history no longer supports, e.g.
+ * ones awarded when a day counted as perfect after a retry
+ * @param {string} userId User to check
+ * @param {Array<Object>} achievements Active achievements with perfectDays rules
+ * @returns {Promise<number>} Badges taken back
+ */
+const revokeUnmetPerfectDays = async (userId, achievements) => {
+  const awarded = await UserAchievement.find(
+    { userId, achievementId: { $in: achievements.map(achievement => achievement._id) } },
+    { achievementId: 1 }
+  ).lean();
+  if (!awarded.length) {
+    return 0;
+  }
+
+  const results = await GameResult.find(
+    { userId, mode: 'daily', completedAt: { $ne: null } },
+    { date: 1, isPerfect: 1, attemptsUsed: 1 }
+  ).lean();
+  const awardedIds = new Set(awarded.map(entry => String(entry.achievementId)));
+  const unmetIds = achievements
+    .filter(achievement => awardedIds.has(String(achievement._id)) && !meetsPeriodRule(achievement.rule, results))
+    .map(achievement => achievement._id);
+  if (!unmetIds.length) {
+    return 0;
+  }
+
+  const { deletedCount } = await UserAchievement.deleteMany({ userId, achievementId: { $in: unmetIds } });
+  console.log('Achievements revoked:', { userId, achievementIds: unmetIds.map(String) });
+  return deletedCount;
+};
+
+/**
+ * Award achievements from history for every user with stats, e.g. after an
+ * admin adds a new badge. Perfect-day badges the history does not support are
+ * taken back.
+ * @returns {Promise<Object>} { usersChecked, achievementsAwarded, achievementsRevoked }
+ */
+const recomputeAllAchievements = async () => {
+  let usersChecked = 0;
+  let achievementsAwarded = 0;
+  let achievementsRevoked = 0;
+
+  await seedDefaultAchievements();
+  const perfectDayAchievements = await Achievement.find({ active: true, 'rule.metric': 'perfectDays' }).lean();
+
+  for await (const stats of Stats.find().cursor()) {
+    if (perfectDayAchievements.length) {
+      achievementsRevoked += await revokeUnmetPerfectDays(stats.userId, perfectDayAchievements);
+    }
+    const unlocked = await evaluateAchievements(stats.userId, { stats });
+    usersChecked += 1;
+    achievementsAwarded += unlocked.length;
+  }
+
+  return { usersChecked, achievementsAwarded, achievementsRevoked };
+};
+
+/**
+ * List active achievements with whether and when a user unlocked each
+ * @param {string} userId User to list for
+ * @returns {Promise<Array<Object>>} Achievements with unlocked and unlockedAt
+ */
+const listUserAchievements = async (userId) => {
+  await seedDefaultAchievements();
+
+  const [achievements, unlocked] = await Promise.all([
+    Achievement.find({ active: true }).sort({ createdAt: 1 }).lean(),
+    UserAchievement.find({ userId }).lean(),
+  ]);
+
+  const unlockedById = new Map(unlocked.map(entry => [String(entry.achievementId), entry]));
+  return achievements.map(({ _id, key, name, description, icon }) => ({
+    key,
+    name,
+    description,
+    icon,
+    unlocked: unlockedById.has(String(_id)),
+    unlockedAt: unlockedById.get(String(_id))?.unlockedAt || null,
+  }));
+};
+
+module.exports = {
+  seedDefaultAchievements,
+  evaluateAchievements,
+  recomputeAllAchievements,
+  listUserAchievements,
+};
@@ -0,0 +1,90 @@
+// Metadata that describes the human image rather than the AI one, so it is kept
+// whichever AI version is shown
+const HUMAN_IMAGE_METADATA = ['artistCredit'];
+
+/**
+ * List a pair's AI image versions, oldest first. Pairs that were never
+ * regenerated have no stored history, so their current image is version 1.
+ * @param {Object} pair Pair subdocument from ImagePair.pairs
+ * @returns {Array<Object>} Versions as { version, aiImageURL, metadata, createdAt, active }
+ */
+const listAiVersions = (pair) => {
+  const versions = pair.aiVersions?.length
+    ? pair.aiVersions.map(version => (version.toObject ? version.toObject() : version))
+    : [{ version: 1, aiImageURL: pair.aiImageURL, metadata: pair.metadata || {}, createdAt: null }];
+  const activeVersion = pair.activeAiVersion || versions[versions.length - 1].version;
+
+  return versions.map(version => ({ ...version, active: version.version === activeVersion }));
+};
+
+/**
+ * Carry human-image metadata from the pair onto a version's metadata
+ * @param {Object} pair Pair subdocument
+ * @param {Object} metadata Metadata of the AI version being shown
+ * @returns {Object} Metadata to store on the pair
+ */
+const withHumanImageMetadata = (pair, metadata) => {
+  const kept = {};
+  HUMAN_IMAGE_METADATA.forEach(key => {
+    if (pair.metadata?.[key] !== undefined) {
+      kept[key] = pair.metadata[key];
+    }
+  });
+  return { ...metadata, ...kept };
+};
+
+/**
+ * Work out a pair's fields after a regeneration: the new image becomes the
+ * latest version and the one shown. The image is new, so its review is cleared.
+ * @param {Object} pair Pair subdocument before regeneration
+ * @param {Object} aiVersion The new image
+ * @param {string} aiVersion.aiImageURL URL of the generated image
+ * @param {Object} aiVersion.metadata Prompt and analysis behind it
+ * @returns {Object} Pair fields to set
+ */
+const addAiVersion = (pair, { aiImageURL, metadata }) => {
+  const versions = listAiVersions(pair).map(({ active, ...version }) => version);
+  const version = Math.max(...versions.map(entry => entry.version)) + 1;
+
+  return {
+    aiImageURL,
+    metadata: withHumanImageMetadata(pair, metadata),
+    aiVersions: [...versions, { version, aiImageURL, metadata, createdAt: new Date() }],
+    activeAiVersion: version,
+    review: null,
+  };
+};
+
+/**
+ * Work out a pair's fields after switching to an earlier (or later) version.
+ * The shown image changes, so its review is cleared.
+ * @param {Object} pair Pair subdocument
+ * @param {number} versionNumber Version to show
+ * @returns {Object|null} Pair fields to set, or null if there is no such version
+ */
+const selectAiVersion = (pair, versionNumber) => {
+  const versions = listAiVersions(pair).map(({ active, ...version }) => version);
+  const selected = versions.find(entry => entry.version === versionNumber);
+  if (!selected) {
+    return null;
+  }
+
+  return {
+    aiImageURL: selected.aiImageURL,
+    metadata: withHumanImageMetadata(pair, selected.metadata),
+    aiVersions: versions,
+    activeAiVersion: selected.version,
+    review: null,
+  };
+};
+
+/**
+ * Turn pair fields into a $set for the pair matched by a positional filter
+ * @param {Object} fields Pair fields
+ * @returns {Object} Fields keyed as 'pairs.$.<field>'
+ */
+const toPositionalSet = (fields) => {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [`pairs.$.${key}`, value]));
+};
+
+module.exports = { listAiVersions, addAiVersion, selectAiVersion, toPositionalSet };
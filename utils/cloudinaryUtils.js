@@ -0,0 +1,52 @@
+const cloudinary = require('cloudinary').v2;
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Upload file to Cloudinary
+const uploadToCloudinary = (fileBuffer, folderName) => {
+  return new Promise((resolve, reject) => {
+    console.log('Starting Cloudinary upload to folder:', folderName);
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: folderName,
+        format: "webp",
+        quality: "auto:best",
+        resource_type: "image",
+        transformation: [
+          { width: 650, crop: "scale" }
+        ]
+      },
+      (error, result) => {
+        if (error) {
+          console.error('Cloudinary upload error:', error);
+          reject(error);
+        } else {
+          console.log('Cloudinary upload successful:', {
+            publicId: result.public_id,
+            url: result.secure_url,
+            format: result.format,
+            size: result.bytes
+          });
+          resolve(result);
+        }
+      }
+    );
+
+    // Handle stream errors
+    uploadStream.on('error', (error) => {
+      console.error('Cloudinary stream error:', error);
+      reject(error);
+    });
+
+    uploadStream.end(fileBuffer);
+  });
+};
+
+module.exports = {
+  uploadToCloudinary
+};
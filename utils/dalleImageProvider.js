@@ -0,0 +1,111 @@
+const OpenAI = require('openai');
+const sharp = require('sharp');
+
+// Image quality requested from DALL-E 3: 'hd' or 'standard'
+const DALLE_QUALITY = process.env.DALLE_QUALITY === 'standard' ? 'standard' : 'hd';
+
+// DALL-E 3 only renders these sizes
+const SUPPORTED_SIZES = ['1024x1024', '1792x1024', '1024x1792'];
+
+// Price per image in USD, by quality and size
+const PRICES = {
+  hd: { '1024x1024': 0.08, '1792x1024': 0.12, '1024x1792': 0.12 },
+  standard: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 },
+};
+
+// Created on first use so other providers work without an OpenAI key
+let openai = null;
+
+const getClient = () => {
+  if (!process.env.OPENAI_API_KEY) {
+    const error = new Error('OPENAI_API_KEY environment variable is required for DALL-E 3 image generation');
+    error.name = 'ConfigurationError';
+    throw error;
+  }
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+};
+
+/**
+ * Map requested dimensions onto the nearest DALL-E 3 size
+ * @param {Object} dimensions { width, height }
+ * @returns {string} Size as WIDTHxHEIGHT
+ */
+const pickSize = ({ width, height }) => {
+  const aspectRatio = width / height;
+
+  if (aspectRatio > 1) return '1792x1024'; // Landscape
+  if (aspectRatio < 1) return '1024x1792'; // Portrait
+  return '1024x1024'; // Square, or anything unexpected
+};
+
+/**
+ * Price of one image
+ * @param {string} size Size from pickSize
+ * @returns {number} Cost in USD
+ */
+const estimateCost = (size) => PRICES[DALLE_QUALITY][size] || 0;
+
+/**
+ * Generate an image with DALL-E 3
+ * @param {string} prompt Sanitized prompt
+ * @param {Object} dimensions { width, height } of the human image
+ * @returns {Promise<Object>} { image, size, costUsd } with the image as a webp buffer
+ */
+const generate = async (prompt, dimensions) => {
+  const size = pickSize(dimensions);
+  console.log(`Generating DALL-E 3 image with prompt: ${prompt}`);
+  console.log(`Size: ${size}`);
+
+  const response = await getClient().images.generate({
+    model: 'dall-e-3',
+    prompt,
+    n: 1,
+    size,
+    quality: DALLE_QUALITY,
+    style: 'natural' // Natural style for more human-like results
+  });
+
+  // Get the image URL from the response
+  const imageUrl = response.data[0].url;
+  if (!imageUrl) {
+    throw new Error('No image URL received from DALL-E 3');
+  }
+
+  // Download the generated image
+  const imageResponse = await fetch(imageUrl);
+  const buffer = Buffer.from(await imageResponse.arrayBuffer());
+
+  // Process with sharp to ensure webp format and quality
+  const image = await sharp(buffer).webp({ quality: 90 }).toBuffer();
+
+  return { image, size, costUsd: estimateCost(size) };
+};
+
+/**
+ * Sort a DALL-E 3 error into a kind the pipeline knows how to handle
+ * @param {Error} error Error from generate
+ * @returns {string} 'content_policy', 'billing', 'rate_limit', 'timeout', 'configuration' or 'unknown'
+ */
+const classifyError = (error) => {
+  const message = error.message || '';
+
+  if (error.name === 'ConfigurationError') return 'configuration';
+  if (error.status === 400 && error.error?.type === 'image_generation_user_error') return 'content_policy';
+  if (message.includes('billing') || error.code === 'billing_hard_limit_reached') return 'billing';
+  if (error.status === 429 || message.includes('rate limit')) return 'rate_limit';
+  if (error instanceof OpenAI.APIConnectionTimeoutError || message.includes('timed out')) return 'timeout';
+  return 'unknown';
+};
+
+module.exports = {
+  name: 'dalle',
+  model: 'dall-e-3',
+  supportedSizes: SUPPORTED_SIZES,
+  pickSize,
+  estimateCost,
+  generate,
+  classifyError,
+};
@@ -1,33 +1,58 @@
-const getTodayInEST = () => {
+/**
+ * Get the calendar date of an instant in a given IANA time zone
+ * @param {Date} date Instant to convert
+ * @param {string} timeZone IANA time zone, e.g. 'America/New_York'
+ * @returns {string} Date string as YYYY-MM-DD
+ */
+const getDateInTimeZone = (date, timeZone) => {
   const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/New_York',
+    timeZone,
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
   });
 
-  const parts = formatter.formatToParts(new Date());
+  const parts = formatter.formatToParts(date);
   const year = parts.find(p => p.type === 'year').value;
   const month = parts.find(p => p.type === 'month').value;
   const day = parts.find(p => p.type === 'day').value;
 
-  console.log(`🕒 Debug: Detected TODAY in EST as: ${year}-${month}-${day}`); // Debugging line
   return `${year}-${month}-${day}`;
 };
 
-const getYesterdayInEST = () => {
-  const now = new Date();
-  now.setDate(now.getDate() - 1); // Subtract 1 day
-
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {Date} date Instant to check, since the offset changes with DST
+ * @param {string} timeZone IANA time zone
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
   const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/New_York',
+    timeZone,
+    hourCycle: 'h23',
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
   });
 
-  const parts = formatter.formatToParts(now);
-  return `${parts.find(p => p.type === 'year').value}-${parts.find(p => p.type === 'month').value}-${parts.find(p => p.type === 'day').value}`;
+  const parts = formatter.formatToParts(date);
+  const value = type => Number(parts.find(p => p.type === type).value);
+  const wallClockAsUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const getTodayInEST = () => {
+  const today = getDateInTimeZone(new Date(), 'America/New_York');
+  console.log(`🕒 Debug: Detected TODAY in EST as: ${today}`); // Debugging line
+  return today;
+};
+
+const getYesterdayInEST = () => {
+  return addDays(getDateInTimeZone(new Date(), 'America/New_York'), -1);
 };
 
 /**
@@ -39,4 +64,68 @@ const formatDate = (date) => {
   return date.toISOString().split('T')[0];
 };
 
-module.exports = { getTodayInEST, getYesterdayInEST, formatDate };
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD form
+ * @param {string} value Value to check
+ * @returns {boolean} Whether the value is a valid date string
+ */
+const isValidDateString = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && formatDate(date) === value;
+};
+
+/**
+ * Move a YYYY-MM-DD date string forward or back by whole days
+ * @param {string} dateString Date to shift
+ * @param {number} days Number of days to add (negative to go back)
+ * @returns {string} Shifted date string
+ */
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+};
+
+/**
+ * Count the whole days from one YYYY-MM-DD date string to another
+ * @param {string} from Start date
+ * @param {string} to End date
+ * @returns {number} Days from start to end (negative if end is earlier)
+ */
+const daysBetween = (from, to) => {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / msPerDay);
+};
+
+/**
+ * Check that a value is a time zone Intl understands, e.g. 'Europe/Berlin'
+ * @param {string} timeZone Value to check
+ * @returns {boolean} Whether the time zone is usable
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  getDateInTimeZone,
+  getTimeZoneOffset,
+  getTodayInEST,
+  getYesterdayInEST,
+  formatDate,
+  isValidDateString,
+  isValidTimeZone,
+  addDays,
+  daysBetween,
+};
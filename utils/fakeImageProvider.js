@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Placeholder sizes, smaller than DALL-E's so development runs stay quick
+const SUPPORTED_SIZES = ['512x512', '768x512', '512x768'];
+
+/**
+ * Map requested dimensions onto a placeholder size with the same orientation
+ * @param {Object} dimensions { width, height }
+ * @returns {string} Size as WIDTHxHEIGHT
+ */
+const pickSize = ({ width, height }) => {
+  const aspectRatio = width / height;
+
+  if (aspectRatio > 1) return '768x512';
+  if (aspectRatio < 1) return '512x768';
+  return '512x512';
+};
+
+/**
+ * Render deterministic placeholder art for a prompt. The same prompt and size
+ * always give the same image, so runs can be compared and tested offline.
+ * @param {string} prompt Sanitized prompt
+ * @param {Object} dimensions { width, height } of the human image
+ * @returns {Promise<Object>} { image, size, costUsd } with the image as a webp buffer
+ */
+const generate = async (prompt, dimensions) => {
+  const size = pickSize(dimensions);
+  const [width, height] = size.split('x').map(Number);
+  const digest = crypto.createHash('sha256').update(`${prompt}:${size}`).digest();
+
+  // Each byte of the digest picks a colour or position, so shapes follow the prompt
+  const color = (offset) => `rgb(${digest[offset]},${digest[offset + 1]},${digest[offset + 2]})`;
+  const shapes = [0, 1, 2, 3, 4].map(index => {
+    const byte = (offset) => digest[(index * 5 + offset) % digest.length];
+    const cx = Math.round((byte(0) / 255) * width);
+    const cy = Math.round((byte(1) / 255) * height);
+    const r = Math.round(((byte(2) / 255) * 0.3 + 0.1) * Math.min(width, height));
+    return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color(index * 3 + 3)}" fill-opacity="0.7" />`;
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<rect width="100%" height="100%" fill="${color(0)}" />`
+    + shapes.join('')
+    + '</svg>';
+
+  const image = await sharp(Buffer.from(svg)).webp({ quality: 90 }).toBuffer();
+  return { image, size, costUsd: 0 };
+};
+
+/**
+ * The fake provider has no remote failures to tell apart
+ * @returns {string} Always 'unknown'
+ */
+const classifyError = () => 'unknown';
+
+module.exports = {
+  name: 'fake',
+  model: 'placeholder',
+  supportedSizes: SUPPORTED_SIZES,
+  pickSize,
+  estimateCost: () => 0,
+  generate,
+  classifyError,
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Friendship = require('../models/Friendship');
+
+// Invite codes avoid look-alike characters so they can be read out or typed
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * Generate a random invite code
+ * @returns {string} Invite code such as 'K7QM2XPA'
+ */
+const generateInviteCode = () => {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Normalise an invite code typed by a player
+ * @param {*} value Value sent by the client
+ * @returns {string|null} Upper-case code, or null if it is not a string
+ */
+const normalizeInviteCode = (value) => {
+  return typeof value === 'string' ? value.trim().toUpperCase() : null;
+};
+
+/**
+ * Get a user's invite code, creating one the first time it is asked for
+ * @param {Object} user User document
+ * @returns {Promise<string>} Invite code
+ */
+const ensureInviteCode = async (user) => {
+  if (user.inviteCode) {
+    return user.inviteCode;
+  }
+
+  // Retry on the rare collision with an existing code
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const inviteCode = generateInviteCode();
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, inviteCode: { $exists: false } },
+      { $set: { inviteCode } },
+      { new: true }
+    ).catch(error => {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    });
+
+    if (updated) {
+      return updated.inviteCode;
+    }
+
+    // Another request may have set the code in the meantime
+    const current = await User.findById(user._id, { inviteCode: 1 });
+    if (current?.inviteCode) {
+      return current.inviteCode;
+    }
+  }
+
+  throw new Error('Could not generate a unique invite code');
+};
+
+/**
+ * Find the friendship between two users, in either direction
+ * @param {string} userId One user
+ * @param {string} otherUserId The other user
+ * @returns {Promise<Object|null>} Friendship document
+ */
+const findFriendship = (userId, otherUserId) => {
+  return Friendship.findOne({
+    $or: [
+      { requester: userId, recipient: otherUserId },
+      { requester: otherUserId, recipient: userId },
+    ],
+  });
+};
+
+/**
+ * List the ids of a user's accepted friends
+ * @param {string} userId User whose friends to list
+ * @returns {Promise<Array>} Friend user ids
+ */
+const findFriendIds = async (userId) => {
+  const friendships = await Friendship.find({
+    status: 'accepted',
+    $or: [{ requester: userId }, { recipient: userId }],
+  }).lean();
+
+  return friendships.map(friendship =>
+    String(friendship.requester) === String(userId) ? friendship.recipient : friendship.requester
+  );
+};
+
+module.exports = {
+  generateInviteCode,
+  normalizeInviteCode,
+  ensureInviteCode,
+  findFriendship,
+  findFriendIds,
+};
@@ -0,0 +1,136 @@
+const GameState = require('../models/GameState');
+const { SLOTS } = require('./puzzleUtils');
+
+/**
+ * Load a player's state for a day, creating it at version 0 the first time
+ * @param {Object} owner Player as { userId } or { guestId }
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object>} GameState document
+ */
+const loadGameState = async (owner, date) => {
+  try {
+    return await GameState.findOneAndUpdate(
+      { ...owner, date },
+      { $setOnInsert: { ...owner, date } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two first requests raced to create it; the other one won
+    if (error.code === 11000) {
+      return GameState.findOne({ ...owner, date });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply client-owned fields if the client saw the latest version
+ * @param {Object} owner Player as { userId } or { guestId }
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @param {number} version Version the client last read
+ * @param {Object} changes Any of { selections, alreadyGuessed }
+ * @returns {Promise<Object|null>} Updated GameState, or null if the version was stale
+ */
+const updateClientState = (owner, date, version, changes) => {
+  return GameState.findOneAndUpdate(
+    { ...owner, date, version },
+    { $set: changes, $inc: { version: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Bump the version of a player's state if it is still the one they read, before
+ * the server writes a graded attempt or timed answer. A stale PUT from another
+ * tab then fails its own version check instead of racing the write.
+ * @param {Object} owner Player as { userId } or { guestId }
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @param {number} version Version read when the request started
+ * @returns {Promise<Object|null>} Updated GameState, or null if the version was stale
+ */
+const claimStateVersion = (owner, date, version) => {
+  return GameState.findOneAndUpdate(
+    { ...owner, date, version },
+    { $inc: { version: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Copy the server-owned fields from the player's stats after an attempt is graded
+ * @param {Object} owner Player as { userId } or { guestId }
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @param {Object} stats Stats or GuestSession document, already saved
+ * @param {Array<Array<boolean>>} attemptResults Per-pair correctness of each attempt
+ * @returns {Promise<Object>} Updated GameState document
+ */
+const syncGameState = (owner, date, stats, attemptResults) => {
+  return GameState.findOneAndUpdate(
+    { ...owner, date },
+    {
+      $set: {
+        attempts: stats.attempts,
+        attemptResults,
+        triesRemaining: stats.triesRemaining,
+        isComplete: stats.lastPlayedDate === date,
+        completedSelections: stats.lastPlayedDate === date ? stats.completedSelections : [],
+        selections: stats.selections,
+      },
+      $inc: { version: 1 },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Check the client-owned fields of a state update
+ * @param {Object} changes Any of { selections, alreadyGuessed }
+ * @param {number} pairCount Number of pairs in today's puzzle
+ * @returns {string|null} Error message, or null if the changes are valid
+ */
+const validateClientState = ({ selections, alreadyGuessed }, pairCount) => {
+  if (selections !== undefined) {
+    const valid = Array.isArray(selections)
+      && selections.length <= pairCount
+      && selections.every(slot => slot === null || SLOTS.includes(slot));
+    if (!valid) {
+      return 'Selections must be left, right or null for each pair.';
+    }
+  }
+
+  if (alreadyGuessed !== undefined) {
+    const valid = Array.isArray(alreadyGuessed)
+      && alreadyGuessed.every(entry => Array.isArray(entry) && entry.every(value => typeof value === 'string'));
+    if (!valid) {
+      return 'alreadyGuessed must be an array of string arrays.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Shape a state document for the client
+ * @param {Object} state GameState document
+ * @returns {Object} Client view of the state
+ */
+const formatGameState = (state) => ({
+  date: state.date,
+  version: state.version,
+  selections: state.selections,
+  alreadyGuessed: state.alreadyGuessed,
+  attempts: state.attempts,
+  attemptResults: state.attemptResults,
+  triesRemaining: state.triesRemaining,
+  isComplete: state.isComplete,
+  completedSelections: state.completedSelections,
+});
+
+module.exports = {
+  loadGameState,
+  updateClientState,
+  claimStateVersion,
+  syncGameState,
+  validateClientState,
+  formatGameState,
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const GuestSession = require('../models/GuestSession');
+const GameResult = require('../models/GameResult');
+const GameState = require('../models/GameState');
+const Stats = require('../models/Stats');
+const User = require('../models/User');
+const { addDays } = require('./dateUtils');
+const { getPlayerPuzzleDay } = require('./puzzleCalendar');
+const { MAX_STREAK_FREEZES, createStats } = require('./statsUtils');
+
+// Header the client uses to send its guest token
+const GUEST_TOKEN_HEADER = 'X-Guest-Token';
+
+// Guest tokens are long-lived so anonymous streaks survive between visits
+const GUEST_TOKEN_EXPIRY = '365d';
+
+/**
+ * Sign a guest token for a guest id
+ * @param {string} guestId Id of the guest session
+ * @returns {string} Signed JWT
+ */
+const signGuestToken = (guestId) => {
+  return jwt.sign({ guestId, type: 'guest' }, process.env.JWT_SECRET, { expiresIn: GUEST_TOKEN_EXPIRY });
+};
+
+/**
+ * Verify a guest token
+ * @param {string} token Token sent by the client
+ * @returns {string|null} Guest id, or null if the token is missing or invalid
+ */
+const verifyGuestToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'guest' && decoded.guestId ? decoded.guestId : null;
+  } catch (error) {
+    console.warn('Ignoring invalid guest token:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Create a new guest session and its token
+ * @returns {Promise<Object>} { guestId, token }
+ */
+const createGuestSession = async () => {
+  const guestId = crypto.randomUUID();
+  await GuestSession.create({ guestId });
+  return { guestId, token: signGuestToken(guestId) };
+};
+
+/**
+ * Add a guest's totals, streak and today's game to a user's Stats
+ * @param {Object} stats User's Stats document, changed in place
+ * @param {Object} session GuestSession being merged
+ * @param {Array<Object>} movedResults Guest results that will move to the user
+ * @param {string} today User's puzzle day as YYYY-MM-DD
+ * @returns {boolean} Whether today's game was carried over from the guest
+ */
+const foldGuestIntoStats = (stats, session, movedResults, today) => {
+  // Only completed daily games count towards the running totals
+  const movedDailyGames = movedResults.filter(result => result.mode === 'daily' && result.completedAt);
+
+  movedDailyGames.forEach(result => {
+    stats.gamesPlayed += 1;
+    if (result.isPerfect) {
+      stats.perfectPuzzles += 1;
+    }
+    stats.mistakeDistribution[result.mistakes] = (stats.mistakeDistribution[result.mistakes] || 0) + 1;
+  });
+  stats.markModified('mistakeDistribution');
+
+  if (stats.gamesPlayed > 0) {
+    stats.winPercentage = Math.round((stats.perfectPuzzles / stats.gamesPlayed) * 100);
+  }
+
+  // Take over the guest streak if it is more recent, chaining it onto the
+  // user's streak when the guest started playing the day after the user stopped
+  if (session.lastPlayedDate && (!stats.lastPlayedDate || session.lastPlayedDate > stats.lastPlayedDate)) {
+    const guestStreakStart = addDays(session.lastPlayedDate, -(session.currentStreak - 1));
+    const chained = !!stats.lastPlayedDate && stats.lastPlayedDate === addDays(guestStreakStart, -1);
+
+    stats.currentStreak = chained ? stats.currentStreak + session.currentStreak : session.currentStreak;
+    stats.perfectStreak = chained && session.perfectStreak === session.currentStreak
+      ? stats.perfectStreak + session.perfectStreak
+      : session.perfectStreak;
+    stats.lastPlayedDate = session.lastPlayedDate;
+    stats.mostRecentScore = session.mostRecentScore;
+    stats.frozenDates = [...stats.frozenDates, ...session.frozenDates];
+  }
+
+  stats.streakFreezes = Math.min(stats.streakFreezes + session.streakFreezes, MAX_STREAK_FREEZES);
+
+  // Combine timed-mode figures, weighting the averages by answer count
+  if (session.timedAnswers > 0) {
+    const totalAnswerTimeMs = (stats.averageAnswerTimeMs || 0) * stats.timedAnswers
+      + session.averageAnswerTimeMs * session.timedAnswers;
+    stats.timedAnswers += session.timedAnswers;
+    stats.averageAnswerTimeMs = Math.round(totalAnswerTimeMs / stats.timedAnswers);
+  }
+  if (session.fastestPerfectMs !== null && (stats.fastestPerfectMs === null || session.fastestPerfectMs < stats.fastestPerfectMs)) {
+    stats.fastestPerfectMs = session.fastestPerfectMs;
+  }
+
+  stats.maxStreak = Math.max(stats.maxStreak, session.maxStreak, stats.currentStreak);
+  stats.maxPerfectStreak = Math.max(stats.maxPerfectStreak, session.maxPerfectStreak, stats.perfectStreak);
+
+  // A guest who saw the whole set cannot switch to timed mode by signing in
+  if (session.fullSetServedDate === today) {
+    stats.fullSetServedDate = today;
+  }
+
+  // Signing in must not restart the clock on a puzzle the guest already saw
+  if (session.puzzleStartedDate === today
+    && (stats.puzzleStartedDate !== today || session.puzzleStartedAt < stats.puzzleStartedAt)) {
+    stats.puzzleStartedDate = today;
+    stats.puzzleStartedAt = session.puzzleStartedAt;
+  }
+
+  // Carry over today's tries so switching to an account does not grant a replay
+  if (session.lastTriesMadeDate !== today || stats.lastTriesMadeDate === today) {
+    return false;
+  }
+
+  stats.triesRemaining = session.triesRemaining;
+  stats.attempts = session.attempts;
+  stats.attemptTimesMs = session.attemptTimesMs;
+  stats.selections = session.selections;
+  stats.completedAttempts = session.completedAttempts;
+  stats.completedSelections = session.completedSelections;
+  stats.lastTriesMadeDate = session.lastTriesMadeDate;
+  stats.dayStateDate = today;
+  stats.lastSelectionMadeDate = session.lastSelectionMadeDate;
+  return true;
+};
+
+/**
+ * Fold a guest's history and streak into a user's Stats. Guest results for days
+ * the user already has are dropped so no day is counted twice.
+ *
+ * The session is claimed for the user before anything else and only marked
+ * done at the end, so a merge that failed part way is finished by the next
+ * login. Every step is safe to repeat: the stats record which guests they
+ * already hold, and results and game state only move while the guest owns them.
+ * @param {string} guestToken Guest token sent with the register or login request
+ * @param {string} userId User the guest became
+ * @returns {Promise<Object|null>} Summary of the merge, or null if there was nothing to merge
+ */
+const mergeGuestIntoUser = async (guestToken, userId) => {
+  const guestId = verifyGuestToken(guestToken);
+  if (!guestId) {
+    return null;
+  }
+
+  // Guest play stops here; see loadPlayerState
+  const session = await GuestSession.findOneAndUpdate(
+    { guestId, mergedInto: { $in: [null, userId] }, mergedAt: null },
+    { $set: { mergedInto: userId } },
+    { new: true }
+  );
+  if (!session) {
+    return null;
+  }
+
+  const user = await User.findById(userId, { timeZone: 1 }).lean();
+  const today = getPlayerPuzzleDay(user?.timeZone);
+
+  // Skip days the user already has a result for
+  const guestResults = await GameResult.find({ guestId });
+  const duplicateIds = new Set();
+  for (const result of guestResults) {
+    if (await GameResult.exists({ userId, date: result.date, mode: result.mode })) {
+      duplicateIds.add(String(result._id));
+    }
+  }
+  const movedResults = guestResults.filter(result => !duplicateIds.has(String(result._id)));
+
+  const stats = await Stats.findOne({ userId }) || createStats(userId);
+  if (!stats.mergedGuestIds.includes(guestId)) {
+    const carriedToday = foldGuestIntoStats(stats, session, movedResults, today);
+
+    // Today's game state follows the carried tries, unless an earlier try already moved it
+    if (carriedToday && await GameState.exists({ guestId, date: today })) {
+      await GameState.deleteOne({ userId, date: today });
+      await GameState.updateOne({ guestId, date: today }, { $set: { userId }, $unset: { guestId: 1 }, $inc: { version: 1 } });
+    }
+
+    stats.mergedGuestIds = [...stats.mergedGuestIds, guestId];
+    stats.increment();
+    await stats.save();
+  }
+
+  for (const result of guestResults) {
+    if (duplicateIds.has(String(result._id))) {
+      await GameResult.deleteOne({ _id: result._id });
+      continue;
+    }
+
+    result.userId = userId;
+    result.guestId = undefined;
+    await result.save();
+  }
+
+  session.mergedAt = new Date();
+  await session.save();
+
+  console.log('Guest session merged:', { guestId, userId, movedResults: movedResults.length });
+  return { guestId, movedResults: movedResults.length };
+};
+
+module.exports = {
+  GUEST_TOKEN_HEADER,
+  signGuestToken,
+  verifyGuestToken,
+  createGuestSession,
+  mergeGuestIntoUser,
+};
@@ -1,15 +1,65 @@
-const OpenAI = require('openai');
-const sharp = require('sharp');
+const dalleImageProvider = require('./dalleImageProvider');
+const fakeImageProvider = require('./fakeImageProvider');
 
-// Check if required environment variables are set
-if (!process.env.OPENAI_API_KEY) {
-  console.error('ERROR: OPENAI_API_KEY environment variable is not set');
-  throw new Error('OPENAI_API_KEY environment variable is required for AI image generation');
-}
+// Image providers by name. Each one implements:
+//   generate(prompt, dimensions) -> { image, size, costUsd }
+//   supportedSizes, pickSize(dimensions), estimateCost(size)
+//   classifyError(error) -> 'content_policy' | 'billing' | 'rate_limit' | 'timeout' | 'configuration' | 'unknown'
+const IMAGE_PROVIDERS = {
+  [dalleImageProvider.name]: dalleImageProvider,
+  [fakeImageProvider.name]: fakeImageProvider,
+};
+
+// Errors the pipeline handles by name, e.g. to skip retrying what cannot succeed
+const CLASSIFIED_ERRORS = {
+  content_policy: ['ContentPolicyError', 'The image provider rejected the prompt due to content policy violations. Please try with a different image or description.'],
+  billing: ['BillingError', 'OpenAI billing issue. Please check your OpenAI account billing status.'],
+  rate_limit: ['RateLimitError', 'Image provider rate limit exceeded. Please wait a moment and try again.'],
+  timeout: ['TimeoutError', 'Image generation timed out. This can take 30-60 seconds. Please try again.'],
+  configuration: ['ConfigurationError', null],
+};
+
+/**
+ * Name of the provider used when a request does not pick one. Set IMAGE_PROVIDER
+ * per environment, e.g. 'fake' for development without an OpenAI key.
+ * @returns {string} Provider name
+ */
+const getDefaultImageProviderName = () => process.env.IMAGE_PROVIDER || dalleImageProvider.name;
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Check a provider name from a request or the environment
+ * @param {string} name Provider name
+ * @returns {boolean} Whether a provider with that name exists
+ */
+const isImageProvider = (name) => Object.prototype.hasOwnProperty.call(IMAGE_PROVIDERS, name);
+
+/**
+ * Look up an image provider
+ * @param {string} [name] Provider name, defaults to getDefaultImageProviderName()
+ * @returns {Object} Provider
+ */
+const getImageProvider = (name) => {
+  const providerName = name || getDefaultImageProviderName();
+  if (!isImageProvider(providerName)) {
+    throw new Error(`Unknown image provider: ${providerName}`);
+  }
+  return IMAGE_PROVIDERS[providerName];
+};
+
+/**
+ * Describe the available providers for the admin panel
+ * @returns {Array<Object>} Providers as { name, model, supportedSizes, costsUsd, isDefault }
+ */
+const listImageProviders = () => {
+  const defaultName = getDefaultImageProviderName();
+  return Object.values(IMAGE_PROVIDERS).map(provider => ({
+    name: provider.name,
+    model: provider.model,
+    supportedSizes: provider.supportedSizes,
+    costsUsd: Object.fromEntries(provider.supportedSizes.map(size => [size, provider.estimateCost(size)])),
+    isDefault: provider.name === defaultName,
+  }));
+};
 
 /**
  * Enhanced negative prompts for more human-like AI art
@@ -63,15 +113,19 @@ const getEnhancedNegativePrompt = (style, medium) => {
 };
 
 /**
- * Generate an AI image using DALL-E 3 with enhanced parameters
+ * Generate an AI image with the chosen provider
  * @param {string} prompt Image generation prompt
  * @param {Object} dimensions Image dimensions
  * @param {number} dimensions.width Width of the image
  * @param {number} dimensions.height Height of the image
  * @param {Object} metadata Optional metadata for style-specific optimization
- * @returns {Promise<Buffer>} Generated image as a buffer
+ * @param {Object} [options]
+ * @param {string} [options.provider] Provider name, defaults to IMAGE_PROVIDER
+ * @returns {Promise<Object>} { image, provider, model, size, costUsd } with the image as a webp buffer
  */
-async function generateAiImage(prompt, dimensions, metadata = {}) {
+async function generateAiImage(prompt, dimensions, metadata = {}, { provider: providerName } = {}) {
+  const provider = getImageProvider(providerName);
+
   try {
     // Sanitize the prompt to avoid content policy violations
     const sanitizedPrompt = sanitizePrompt(prompt);
@@ -80,75 +134,24 @@ async function generateAiImage(prompt, dimensions, metadata = {}) {
 
     // Use default dimensions if not provided
     const finalDimensions = dimensions || { width: 1024, height: 1024 };
-    
-    // DALL-E 3 supports specific sizes, so we need to map to supported options
-    const getDalleSize = (width, height) => {
-      const aspectRatio = width / height;
-      
-      if (aspectRatio === 1) return "1024x1024";
-      if (aspectRatio > 1) return "1792x1024"; // Landscape
-      if (aspectRatio < 1) return "1024x1792"; // Portrait
-      
-      return "1024x1024"; // Default to square
-    };
 
-    const dalleSize = getDalleSize(finalDimensions.width, finalDimensions.height);
+    const { image, size, costUsd } = await provider.generate(sanitizedPrompt, finalDimensions, metadata);
+    console.log('AI image generated:', { provider: provider.name, size, costUsd });
 
-    console.log(`Generating DALL-E 3 image with prompt: ${sanitizedPrompt}`);
-    console.log(`Size: ${dalleSize}`);
+    return { image, provider: provider.name, model: provider.model, size, costUsd };
 
-    // Generate image using DALL-E 3
-    const response = await openai.images.generate({
-      model: "dall-e-3",
-      prompt: sanitizedPrompt,
-      n: 1,
-      size: dalleSize,
-      quality: "hd", // HD quality for better results
-      style: "natural" // Natural style for more human-like results
-    });
+  } catch (error) {
+    console.error(`Error generating AI image with ${provider.name}:`, error);
 
-    // Get the image URL from the response
-    const imageUrl = response.data[0].url;
-    
-    if (!imageUrl) {
-      throw new Error('No image URL received from DALL-E 3');
+    // Re-throw known failures under a name the pipeline can act on
+    const [name, message] = CLASSIFIED_ERRORS[provider.classifyError(error)] || [];
+    if (name) {
+      const classifiedError = new Error(message || error.message);
+      classifiedError.name = name;
+      classifiedError.cause = error;
+      throw classifiedError;
     }
 
-    // Download the generated image
-    const imageResponse = await fetch(imageUrl);
-    const arrayBuffer = await imageResponse.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-
-    // Process with sharp to ensure webp format and quality
-    const processedImage = await sharp(buffer)
-      .webp({ quality: 90 })
-      .toBuffer();
-
-    return processedImage;
-
-  } catch (error) {
-    console.error('Error generating AI image with DALL-E 3:', error);
-    
-    // Handle specific DALL-E 3 content policy errors
-    if (error.status === 400 && error.error?.type === 'image_generation_user_error') {
-      const contentError = new Error('DALL-E 3 rejected the prompt due to content policy violations. Please try with a different image or description.');
-      contentError.name = 'ContentPolicyError';
-      throw contentError;
-    }
-    
-    // Handle other specific errors
-    if (error.message && error.message.includes('timeout')) {
-      const timeoutError = new Error('DALL-E 3 generation timed out. This can take 30-60 seconds. Please try again.');
-      timeoutError.name = 'TimeoutError';
-      throw timeoutError;
-    }
-    
-    if (error.message && error.message.includes('billing')) {
-      const billingError = new Error('OpenAI billing issue. Please check your OpenAI account billing status.');
-      billingError.name = 'BillingError';
-      throw billingError;
-    }
-    
     throw error;
   }
 }
@@ -255,5 +258,9 @@ function sanitizePrompt(prompt) {
 }
 
 module.exports = {
+  getDefaultImageProviderName,
+  isImageProvider,
+  getImageProvider,
+  listImageProviders,
   generateAiImage
-}; 
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// How often an idle worker looks for new jobs
+const POLL_INTERVAL_MS = 5000;
+
+// A running job whose lock is older than this was interrupted, e.g. by a deploy,
+// and is picked up again. The lock is refreshed while a step runs.
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const LOCK_REFRESH_MS = 60 * 1000;
+
+// Retries wait 30s, 60s, 120s... up to 10 minutes
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+
+// Step lists by job type, added with registerJobHandler
+const handlers = new Map();
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Register how to run a type of job
+ * @param {string} type Job type
+ * @param {Object} handler
+ * @param {Array<Object>} handler.steps Steps as { name, run(job) }, run in order. A step's
+ *   return value is saved as its checkpoint and the step is skipped on retry.
+ * @param {Function} [handler.getResult] Build the job result from its checkpoints
+ * @param {Function} [handler.isRetryable] Whether an error is worth retrying; defaults to yes
+ * @param {Function} [handler.onSuccess] Called after the job succeeds
+ * @param {Function} [handler.onFailure] Called with (job, error, willRetry) after a failed attempt
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job
+ * @param {Object} params Job details
+ * @param {string} params.type Registered job type
+ * @param {Object} [params.payload] Input for the job's steps
+ * @param {Buffer} [params.imageData] Image for the job to upload
+ * @param {string} [params.batchId] Groups jobs created together
+ * @param {string} [params.createdBy] Admin who started the job
+ * @returns {Promise<Object>} Saved Job document
+ */
+const enqueueJob = async ({ type, payload = {}, imageData = null, batchId = null, createdBy = null }) => {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = await Job.create({ type, payload, imageData, batchId, createdBy });
+  console.log('Job queued:', { jobId: String(job._id), type, batchId });
+  return job;
+};
+
+/**
+ * Take the next job that is due, or one whose worker went away. Every later
+ * save of the returned document only applies while this worker still holds
+ * the lock, and fails with a DocumentNotFoundError once another has taken it.
+ * @returns {Promise<Object|null>} Locked Job document, or null if none is waiting
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  const job = await Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'running', lockedAt: now, lockToken: crypto.randomUUID() }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+  if (job) {
+    job.$where = { lockToken: job.lockToken };
+  }
+  return job;
+};
+
+/**
+ * Keep a job's lock fresh while a slow step runs, so it is not handed to
+ * another worker as interrupted
+ * @param {Object} job Job document locked by claimNextJob
+ * @returns {Function} Call to stop refreshing
+ */
+const keepLockFresh = (job) => {
+  const timer = setInterval(() => {
+    Job.updateOne({ _id: job._id, lockToken: job.lockToken }, { $set: { lockedAt: new Date() } })
+      .catch(error => console.error('Job lock refresh failed:', { jobId: String(job._id), error: error.message }));
+  }, LOCK_REFRESH_MS);
+  return () => clearInterval(timer);
+};
+
+// Raised by a save once another worker has taken the job over
+const isLockLost = (error) => error?.name === 'DocumentNotFoundError';
+
+/**
+ * Work out how long to wait before the next attempt
+ * @param {number} attempts Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+};
+
+/**
+ * Run a claimed job's remaining steps, saving a checkpoint after each one
+ * @param {Object} job Job document locked by claimNextJob
+ * @returns {Promise<Object>} The job after this attempt
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      const error = new Error(`Unknown job type: ${job.type}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    for (const step of handler.steps) {
+      if (Object.prototype.hasOwnProperty.call(job.checkpoints || {}, step.name)) {
+        continue;
+      }
+
+      job.currentStep = step.name;
+      job.lockedAt = new Date();
+      await job.save();
+
+      const stopRefreshing = keepLockFresh(job);
+      let output;
+      try {
+        output = await step.run(job);
+      } finally {
+        stopRefreshing();
+      }
+      job.set(`checkpoints.${step.name}`, output === undefined ? null : output);
+      job.markModified('checkpoints');
+      await job.save();
+    }
+
+    job.status = 'succeeded';
+    job.result = handler.getResult ? handler.getResult(job) : null;
+    job.currentStep = null;
+    job.lockedAt = null;
+    job.lockToken = null;
+    job.lastError = null;
+    job.completedAt = new Date();
+    await job.save();
+
+    console.log('Job succeeded:', { jobId: String(job._id), type: job.type, attempts: job.attempts });
+    handler.onSuccess?.(job);
+  } catch (error) {
+    // Another worker owns the job now; leave its checkpoints and status alone
+    if (isLockLost(error)) {
+      console.warn('Job lock lost, stopping this attempt:', { jobId: String(job._id), type: job.type, step: job.currentStep });
+      return job;
+    }
+
+    const retryable = error.retryable !== false
+      && (handler?.isRetryable ? handler.isRetryable(error) : true)
+      && job.attempts < job.maxAttempts;
+
+    job.errorHistory.push({ step: job.currentStep, message: error.message, at: new Date() });
+    job.lastError = error.message;
+    job.lockedAt = null;
+    job.lockToken = null;
+
+    if (retryable) {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    } else {
+      job.status = 'failed';
+      job.completedAt = new Date();
+    }
+    try {
+      await job.save();
+    } catch (saveError) {
+      if (!isLockLost(saveError)) {
+        throw saveError;
+      }
+      console.warn('Job lock lost, failure not recorded:', { jobId: String(job._id), type: job.type });
+      return job;
+    }
+
+    console.error('Job attempt failed:', {
+      jobId: String(job._id),
+      type: job.type,
+      step: job.currentStep,
+      attempts: job.attempts,
+      willRetry: retryable,
+      error: error.message,
+    });
+    handler?.onFailure?.(job, error, retryable);
+  }
+
+  return job;
+};
+
+/**
+ * Start processing jobs in this process, one at a time
+ */
+const startJobWorker = () => {
+  if (workerRunning) {
+    return;
+  }
+  workerRunning = true;
+
+  const poll = async () => {
+    try {
+      let job;
+      while (workerRunning && (job = await claimNextJob())) {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    }
+
+    if (workerRunning) {
+      workerTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+
+  poll();
+  console.log('Job worker started');
+};
+
+/**
+ * Stop taking new jobs. A job that is mid-step is picked up again once its lock expires.
+ */
+const stopJobWorker = () => {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Queue a failed job again with a fresh set of attempts. Completed steps are kept.
+ * @param {string} jobId Job to retry
+ * @returns {Promise<Object|null>} The job, or null if it is not a failed job
+ */
+const retryJob = async (jobId) => {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'failed' },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date(), completedAt: null } },
+    { new: true }
+  );
+};
+
+/**
+ * Shape a job for the admin panel, leaving out image data and step outputs
+ * @param {Object} job Job document
+ * @returns {Object} Job status
+ */
+const formatJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  currentStep: job.currentStep,
+  completedSteps: Object.keys(job.checkpoints || {}),
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+  lastError: job.lastError,
+  errorHistory: job.errorHistory,
+  result: job.result,
+  batchId: job.batchId,
+  createdBy: job.createdBy,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  completedAt: job.completedAt,
+});
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  runJob,
+  startJobWorker,
+  stopJobWorker,
+  retryJob,
+  formatJob,
+};
@@ -0,0 +1,151 @@
+const Stats = require('../models/Stats');
+const GameResult = require('../models/GameResult');
+const User = require('../models/User');
+const { addDays } = require('./dateUtils');
+
+// Entries per board
+const LEADERBOARD_SIZE = 10;
+
+// Players need this many games before they are ranked on accuracy
+const MIN_GAMES_FOR_ACCURACY = 10;
+
+// Boards are rebuilt at most this often per puzzle day
+const LEADERBOARD_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Snapshots keyed by puzzle day: { builtAt, boards }
+const leaderboardCache = new Map();
+
+/**
+ * Pipeline stages that attach the player's account and drop anyone who has opted out
+ * @returns {Array<Object>} Aggregation stages
+ */
+const publicPlayerStages = () => [
+  {
+    $lookup: {
+      from: User.collection.name,
+      localField: 'userId',
+      foreignField: '_id',
+      as: 'user',
+    },
+  },
+  { $unwind: '$user' },
+  { $match: { 'user.showOnLeaderboard': { $ne: false } } },
+];
+
+// Only the fields a board needs, so account details never leave the aggregation
+const publicEntryFields = {
+  'user.displayName': 1,
+  'user.firstName': 1,
+  'user.lastName': 1,
+};
+
+/**
+ * Get the name a player is shown under. Emails are never used.
+ * @param {Object} user User document or projection
+ * @returns {string} Display name
+ */
+const getDisplayName = (user) => {
+  if (user.displayName) {
+    return user.displayName;
+  }
+  if (user.firstName) {
+    return user.lastName ? `${user.firstName} ${user.lastName[0]}.` : user.firstName;
+  }
+  return 'Anonymous Player';
+};
+
+/**
+ * Number the entries of a board
+ * @param {Array<Object>} entries Aggregation output, best first
+ * @param {Function} pickValues Maps an entry to the values shown for it
+ * @returns {Array<Object>} Entries as { rank, displayName, ...values }
+ */
+const rankEntries = (entries, pickValues) => {
+  return entries.map((entry, index) => ({
+    rank: index + 1,
+    displayName: getDisplayName(entry.user),
+    ...pickValues(entry),
+  }));
+};
+
+/**
+ * Run the leaderboard aggregations for a puzzle day
+ * @param {string} today Puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object>} { fastestToday, longestStreaks, bestAccuracy }
+ */
+const buildLeaderboards = async (today) => {
+  const [fastest, streaks, accuracy] = await Promise.all([
+    // Times run from when the day's pairs were first served to the player, and
+    // pairs are only served to a signed-in user or guest session
+    GameResult.aggregate([
+      { $match: { date: today, mode: 'daily', isPerfect: true, userId: { $exists: true }, completionTimeMs: { $ne: null } } },
+      { $sort: { completionTimeMs: 1 } },
+      ...publicPlayerStages(),
+      { $limit: LEADERBOARD_SIZE },
+      { $project: { ...publicEntryFields, completionTimeMs: 1, attemptsUsed: 1 } },
+    ]),
+    // A streak is only current if the player has played today or yesterday
+    Stats.aggregate([
+      { $match: { lastPlayedDate: { $gte: addDays(today, -1) }, currentStreak: { $gt: 0 } } },
+      { $sort: { currentStreak: -1, maxStreak: -1 } },
+      ...publicPlayerStages(),
+      { $limit: LEADERBOARD_SIZE },
+      { $project: { ...publicEntryFields, currentStreak: 1, maxStreak: 1 } },
+    ]),
+    Stats.aggregate([
+      { $match: { gamesPlayed: { $gte: MIN_GAMES_FOR_ACCURACY } } },
+      { $sort: { winPercentage: -1, perfectPuzzles: -1 } },
+      ...publicPlayerStages(),
+      { $limit: LEADERBOARD_SIZE },
+      { $project: { ...publicEntryFields, winPercentage: 1, perfectPuzzles: 1, gamesPlayed: 1 } },
+    ]),
+  ]);
+
+  return {
+    fastestToday: rankEntries(fastest, entry => ({
+      completionTimeMs: entry.completionTimeMs,
+      attemptsUsed: entry.attemptsUsed,
+    })),
+    longestStreaks: rankEntries(streaks, entry => ({
+      currentStreak: entry.currentStreak,
+      maxStreak: entry.maxStreak,
+    })),
+    bestAccuracy: rankEntries(accuracy, entry => ({
+      winPercentage: entry.winPercentage,
+      perfectPuzzles: entry.perfectPuzzles,
+      gamesPlayed: entry.gamesPlayed,
+    })),
+  };
+};
+
+/**
+ * Get the leaderboards for a puzzle day, from the cache when it is fresh
+ * @param {string} today Puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object>} { date, generatedAt, fastestToday, longestStreaks, bestAccuracy }
+ */
+const getLeaderboards = async (today) => {
+  const cached = leaderboardCache.get(today);
+  if (cached && Date.now() - cached.builtAt < LEADERBOARD_CACHE_TTL_MS) {
+    return cached.snapshot;
+  }
+
+  const boards = await buildLeaderboards(today);
+  const snapshot = { date: today, generatedAt: new Date(), ...boards };
+
+  // Older days are no longer requested, so only the latest snapshots are kept
+  if (leaderboardCache.size > 3) {
+    leaderboardCache.clear();
+  }
+  leaderboardCache.set(today, { builtAt: Date.now(), snapshot });
+
+  return snapshot;
+};
+
+/**
+ * Drop cached boards, e.g. after a player changes their name or opts out
+ */
+const clearLeaderboardCache = () => {
+  leaderboardCache.clear();
+};
+
+module.exports = { getDisplayName, getLeaderboards, clearLeaderboardCache };
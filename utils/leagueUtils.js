@@ -0,0 +1,176 @@
+const League = require('../models/League');
+const LeagueSeason = require('../models/LeagueSeason');
+const GameResult = require('../models/GameResult');
+const User = require('../models/User');
+const { addDays } = require('./dateUtils');
+const { getDisplayName } = require('./leaderboardUtils');
+
+// Season lengths a league can pick
+const LEAGUE_CADENCES = ['weekly', 'monthly'];
+
+/**
+ * Get the first day of the season containing a day. Weekly seasons start on
+ * Monday and monthly seasons on the 1st.
+ * @param {string} day Puzzle day as YYYY-MM-DD
+ * @param {string} cadence 'weekly' or 'monthly'
+ * @returns {string} Season start as YYYY-MM-DD
+ */
+const getSeasonStart = (day, cadence) => {
+  if (cadence === 'monthly') {
+    return `${day.slice(0, 7)}-01`;
+  }
+  const dayOfWeek = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((dayOfWeek + 6) % 7));
+};
+
+/**
+ * Get the last day of a season
+ * @param {string} seasonStart Season start as YYYY-MM-DD
+ * @param {string} cadence 'weekly' or 'monthly'
+ * @returns {string} Season end as YYYY-MM-DD, inclusive
+ */
+const getSeasonEnd = (seasonStart, cadence) => {
+  if (cadence === 'monthly') {
+    const nextMonth = new Date(`${seasonStart}T00:00:00Z`);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    return addDays(nextMonth.toISOString().split('T')[0], -1);
+  }
+  return addDays(seasonStart, 6);
+};
+
+/**
+ * Get the cadence the league's current season runs on. A cadence change only
+ * applies from the next season, so this can differ from league.cadence.
+ * Leagues created before seasonCadence was stored go by the season's length.
+ * @param {Object} league League document
+ * @returns {string} 'weekly' or 'monthly'
+ */
+const getSeasonCadence = (league) => {
+  if (league.seasonCadence) {
+    return league.seasonCadence;
+  }
+  return getSeasonEnd(league.seasonStartDate, 'weekly') === league.seasonEndDate ? 'weekly' : 'monthly';
+};
+
+/**
+ * Get the longest run of consecutive days in a sorted list of days
+ * @param {Array<string>} days Puzzle days, oldest first
+ * @returns {number} Longest run
+ */
+const getLongestRun = (days) => {
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && days[index - 1] === addDays(day, -1) ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+};
+
+/**
+ * Build standings for league members from their daily results in a date range.
+ * Ranked by perfect puzzles, then games played, then fewest mistakes, then
+ * longest streak, so a member who did not play never outranks one who did.
+ * @param {Array} memberIds User ids of the members
+ * @param {string} from First puzzle day as YYYY-MM-DD
+ * @param {string} to Last puzzle day as YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} Standings, best first
+ */
+const computeStandings = async (memberIds, from, to) => {
+  const [users, results] = await Promise.all([
+    User.find({ _id: { $in: memberIds } }, { displayName: 1, firstName: 1, lastName: 1 }).lean(),
+    GameResult.find(
+      { userId: { $in: memberIds }, mode: 'daily', date: { $gte: from, $lte: to }, completedAt: { $ne: null } },
+      { userId: 1, date: 1, isPerfect: 1, mistakes: 1 }
+    ).sort({ date: 1 }).lean(),
+  ]);
+
+  const standings = users.map(user => {
+    const userResults = results.filter(result => String(result.userId) === String(user._id));
+    return {
+      userId: user._id,
+      displayName: getDisplayName(user),
+      perfectPuzzles: userResults.filter(result => result.isPerfect).length,
+      totalMistakes: userResults.reduce((total, result) => total + result.mistakes, 0),
+      gamesPlayed: userResults.length,
+      longestStreak: getLongestRun(userResults.map(result => result.date)),
+    };
+  });
+
+  standings.sort((a, b) =>
+    (b.perfectPuzzles - a.perfectPuzzles)
+    || (b.gamesPlayed - a.gamesPlayed)
+    || (a.totalMistakes - b.totalMistakes)
+    || (b.longestStreak - a.longestStreak)
+  );
+
+  return standings.map((standing, index) => ({ rank: index + 1, ...standing }));
+};
+
+/**
+ * Roll a league over to the current season if its season has ended, saving the
+ * final standings of the finished season. Seasons with no play in between are
+ * skipped rather than archived empty.
+ * @param {Object} league League document
+ * @param {string} today Current puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object>} League document for the current season
+ */
+const ensureCurrentSeason = async (league, today) => {
+  if (today <= league.seasonEndDate) {
+    return league;
+  }
+
+  const standings = await computeStandings(
+    league.members.map(member => member.userId),
+    league.seasonStartDate,
+    league.seasonEndDate
+  );
+
+  // Another request may be archiving the same season; the unique index keeps one copy
+  await LeagueSeason.updateOne(
+    { leagueId: league._id, seasonNumber: league.seasonNumber },
+    {
+      $setOnInsert: {
+        cadence: getSeasonCadence(league),
+        startDate: league.seasonStartDate,
+        endDate: league.seasonEndDate,
+        standings,
+      },
+    },
+    { upsert: true }
+  ).catch(error => {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  });
+
+  // After a cadence change the new season's natural start can fall inside the
+  // finished season, so it starts the day after that season instead and is
+  // shortened to end where it naturally would
+  const naturalStart = getSeasonStart(today, league.cadence);
+  const seasonStartDate = [naturalStart, addDays(league.seasonEndDate, 1)].sort()[1];
+  const rolledOver = await League.findOneAndUpdate(
+    { _id: league._id, seasonNumber: league.seasonNumber },
+    {
+      $set: {
+        seasonCadence: league.cadence,
+        seasonStartDate,
+        seasonEndDate: getSeasonEnd(naturalStart, league.cadence),
+      },
+      $inc: { seasonNumber: 1 },
+    },
+    { new: true }
+  );
+
+  console.log('League season rolled over:', { leagueId: league._id, finishedSeason: league.seasonNumber });
+  return rolledOver || League.findById(league._id);
+};
+
+module.exports = {
+  LEAGUE_CADENCES,
+  getSeasonStart,
+  getSeasonEnd,
+  getSeasonCadence,
+  computeStandings,
+  ensureCurrentSeason,
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+// Default model for each kind of request. Override one with LLM_MODEL_<TASK>,
+// e.g. LLM_MODEL_DESCRIBE=gpt-4o-mini.
+const DEFAULT_MODELS = {
+  describe: 'gpt-4o', // Image description and classification; needs vision
+  imperfections: 'gpt-4', // Human imperfections to add to a remix
+  remix: 'gpt-4', // Final remixed prompt
+  styleAnalysis: 'gpt-4-turbo-preview',
+  prompt: 'gpt-4-turbo-preview',
+};
+
+// Price per million tokens in USD, as [input, output]. Models not listed are
+// still counted, but their cost is left out of the totals.
+const PRICES = {
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4': [30, 60],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4-turbo-preview': [10, 30],
+};
+
+// 'live' calls OpenAI, 'record' calls OpenAI and saves each response as a
+// fixture, 'replay' answers from saved fixtures only and never calls OpenAI
+// Replay only covers re-running the same recorded inputs: the fixture key
+// includes the whole request, so a new image URL (every upload gets one) or
+// changed prompt has no fixture and fails with a ConfigurationError
+const LLM_MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+// Created on first use so replay mode works without an OpenAI key
+let openai = null;
+
+// Running totals by task since start or the last resetLlmUsage()
+let usageByTask = new Map();
+let usageSince = new Date();
+
+const configurationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ConfigurationError';
+  return error;
+};
+
+const getClient = () => {
+  if (!process.env.OPENAI_API_KEY) {
+    throw configurationError('OPENAI_API_KEY environment variable is required unless LLM_MODE is replay');
+  }
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+};
+
+/**
+ * Current mode from LLM_MODE, defaulting to 'live'
+ * @returns {string} 'live', 'record' or 'replay'
+ */
+const getLlmMode = () => {
+  const mode = process.env.LLM_MODE || 'live';
+  if (!LLM_MODES.includes(mode)) {
+    throw configurationError(`Unknown LLM_MODE: ${mode}. Use one of ${LLM_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+/**
+ * Model used for a task
+ * @param {string} task Key of DEFAULT_MODELS
+ * @returns {string} Model name
+ */
+const getModel = (task) => {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_MODELS, task)) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+  const envName = `LLM_MODEL_${task.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+  return process.env[envName] || DEFAULT_MODELS[task];
+};
+
+const getTimeoutMs = () => Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+const getFixturesDir = () => process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+/**
+ * Price of one request
+ * @param {string} model Model name
+ * @param {number} promptTokens Input tokens
+ * @param {number} completionTokens Output tokens
+ * @returns {number|null} Cost in USD, or null if the model has no known price
+ */
+const estimateCost = (model, promptTokens, completionTokens) => {
+  const price = PRICES[model];
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+};
+
+/**
+ * Path of the fixture for a request. The same model, messages and options
+ * always map to the same file, so a recorded run replays exactly.
+ * @param {string} task Task name
+ * @param {Object} request Request body sent to OpenAI
+ * @returns {string} Fixture file path
+ */
+const getFixturePath = (task, request) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  return path.join(getFixturesDir(), `${task}-${hash.slice(0, 16)}.json`);
+};
+
+/**
+ * Add a request's usage to the running totals
+ * @param {string} task Task name
+ * @param {string} model Model name
+ * @param {Object} usage Usage from chat()
+ * @param {boolean} replayed Whether it was answered from a fixture
+ */
+const recordUsage = (task, model, usage, replayed) => {
+  const totals = usageByTask.get(task) || {
+    task,
+    models: [],
+    calls: 0,
+    replayedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    costUsd: 0,
+  };
+
+  if (!totals.models.includes(model)) {
+    totals.models.push(model);
+  }
+  if (replayed) {
+    totals.replayedCalls += 1;
+  } else {
+    totals.calls += 1;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.costUsd += usage.costUsd || 0;
+  }
+  usageByTask.set(task, totals);
+};
+
+/**
+ * Turn an OpenAI error into one the pipeline handles by name
+ * @param {string} task Task name
+ * @param {Error} error Error from the OpenAI client
+ * @returns {Error} Error to throw
+ */
+const classifyError = (task, error) => {
+  // The SDK's errors keep the name 'Error', so they are told apart by class
+  if (error instanceof OpenAI.APIConnectionTimeoutError) {
+    const timeoutError = new Error(`LLM request for ${task} timed out after ${getTimeoutMs()}ms`);
+    timeoutError.name = 'TimeoutError';
+    return timeoutError;
+  }
+  if (error.status === 429) {
+    error.name = 'RateLimitError';
+  }
+  return error;
+};
+
+/**
+ * Send a chat request for a task, using the model, mode and timeout from config
+ * @param {string} task Key of DEFAULT_MODELS, used to pick the model and group usage
+ * @param {Object} options Chat completion options without the model, e.g. messages,
+ *   max_tokens and temperature
+ * @returns {Promise<Object>} { content, model, usage, replayed } where usage is
+ *   { promptTokens, completionTokens, totalTokens, costUsd }
+ */
+const chat = async (task, options) => {
+  const mode = getLlmMode();
+  const model = getModel(task);
+  const request = { model, ...options };
+  const fixturePath = getFixturePath(task, request);
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(fixturePath)) {
+      throw configurationError(`No recorded LLM response for ${task} at ${fixturePath}. Run once with LLM_MODE=record.`);
+    }
+    // Token counts are kept so runs can be compared, but nothing was paid for
+    const fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    const usage = { ...fixture.usage, costUsd: 0 };
+    recordUsage(task, model, usage, true);
+    return { content: fixture.content, model, usage, replayed: true };
+  }
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await getClient().chat.completions.create(request, { timeout: getTimeoutMs() });
+  } catch (error) {
+    throw classifyError(task, error);
+  }
+
+  const promptTokens = response.usage?.prompt_tokens || 0;
+  const completionTokens = response.usage?.completion_tokens || 0;
+  const usage = {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    costUsd: estimateCost(model, promptTokens, completionTokens),
+  };
+  const content = response.choices[0].message.content.trim();
+
+  recordUsage(task, model, usage, false);
+  console.log('LLM request complete:', { task, model, ...usage, durationMs: Date.now() - startedAt });
+
+  if (mode === 'record') {
+    await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.promises.writeFile(
+      fixturePath,
+      JSON.stringify({ task, request, content, usage, recordedAt: new Date() }, null, 2)
+    );
+  }
+
+  return { content, model, usage, replayed: false };
+};
+
+/**
+ * Combine the usage of several requests, e.g. all requests made by one job step
+ * @param {Array<Object>} usages Usage objects from chat(); missing ones are skipped
+ * @returns {Object} { promptTokens, completionTokens, totalTokens, costUsd }
+ */
+const sumUsage = (usages) => usages.filter(Boolean).reduce((total, usage) => ({
+  promptTokens: total.promptTokens + usage.promptTokens,
+  completionTokens: total.completionTokens + usage.completionTokens,
+  totalTokens: total.totalTokens + usage.totalTokens,
+  costUsd: total.costUsd + (usage.costUsd || 0),
+}), { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+
+/**
+ * Describe the LLM setup and usage so far for the admin panel
+ * @returns {Object} { mode, timeoutMs, models, usage: { since, total, byTask } }
+ */
+const getLlmUsage = () => {
+  const byTask = [...usageByTask.values()].map(totals => ({ ...totals, models: [...totals.models] }));
+  return {
+    mode: getLlmMode(),
+    timeoutMs: getTimeoutMs(),
+    models: Object.fromEntries(Object.keys(DEFAULT_MODELS).map(task => [task, getModel(task)])),
+    usage: {
+      since: usageSince,
+      total: {
+        calls: byTask.reduce((sum, totals) => sum + totals.calls, 0),
+        replayedCalls: byTask.reduce((sum, totals) => sum + totals.replayedCalls, 0),
+        ...sumUsage(byTask.map(totals => ({
+          ...totals,
+          totalTokens: totals.promptTokens + totals.completionTokens,
+        }))),
+      },
+      byTask,
+    },
+  };
+};
+
+/**
+ * Start the usage totals again from zero
+ */
+const resetLlmUsage = () => {
+  usageByTask = new Map();
+  usageSince = new Date();
+};
+
+module.exports = {
+  chat,
+  getModel,
+  getLlmMode,
+  estimateCost,
+  sumUsage,
+  getLlmUsage,
+  resetLlmUsage,
+};
@@ -0,0 +1,309 @@
+const axios = require('axios');
+const sharp = require('sharp');
+const ImagePair = require('../models/ImagePair');
+const { registerJobHandler } = require('./jobQueue');
+const { uploadToCloudinary } = require('./cloudinaryUtils');
+const { sendProgress, closeProgressStream } = require('./progressUtils');
+const { findNextAvailableDate, saveImagePair } = require('./pairScheduleUtils');
+const { addAiVersion, toPositionalSet } = require('./aiVersionUtils');
+const { generateImageDescription, remixCaption } = require('./textProcessing');
+const { sumUsage } = require('./llmClient');
+const { generateAiImage } = require('./imageGenUtils');
+const { toPuzzleDay } = require('./puzzleCalendar');
+
+// Job types
+const GENERATE_PAIR_JOB = 'generate-pair';
+const REGENERATE_AI_JOB = 'regenerate-ai';
+
+// Errors a retry cannot fix
+const NON_RETRYABLE_ERRORS = ['ContentPolicyError', 'BillingError', 'ConfigurationError'];
+
+/**
+ * Work out width, height and orientation of an image
+ * @param {Buffer} buffer Image data
+ * @returns {Promise<Object>} { width, height, aspectRatio, orientation }
+ */
+const getImageDimensions = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    aspectRatio: metadata.width / metadata.height,
+    orientation: metadata.width > metadata.height ? 'landscape' : metadata.width < metadata.height ? 'portrait' : 'square'
+  };
+};
+
+/**
+ * Turn a generation error into the message shown in the admin panel
+ * @param {Error} error Error from a job step
+ * @returns {string} Message for the admin
+ */
+const describeError = (error) => {
+  if (error.name === 'TimeoutError') {
+    return 'AI image generation timed out. This can take 30-60 seconds.';
+  }
+  if (error.name === 'RateLimitError') {
+    return 'Image provider rate limit exceeded.';
+  }
+  return error.message || 'Unknown error occurred';
+};
+
+/**
+ * Stop a job that would change the answers players on a live day are graded against
+ * @param {Object} doc ImagePair document with its status
+ */
+const assertNotLive = (doc) => {
+  if (doc.status === 'live') {
+    const error = new Error('Pairs on a live day cannot be changed.');
+    error.retryable = false;
+    throw error;
+  }
+};
+
+/**
+ * Total LLM usage of a job's description and prompt steps
+ * @param {Object} job Job document with analyze and remix checkpoints
+ * @returns {Object} { promptTokens, completionTokens, totalTokens, costUsd }
+ */
+const getJobLlmUsage = (job) => sumUsage([job.checkpoints.analyze?.llmUsage, job.checkpoints.remix?.llmUsage]);
+
+/**
+ * Send a progress message for a job to the admin panel session that started it
+ * @param {Object} job Job document
+ * @param {string} message Message to show
+ * @param {string} [type] 'info', 'success' or 'error'
+ */
+const reportProgress = (job, message, type = 'info') => {
+  const { sessionId, currentImageIndex, totalImages } = job.payload;
+  if (sessionId) {
+    const prefix = totalImages ? `Image ${currentImageIndex}/${totalImages}: ` : '';
+    sendProgress(sessionId, `${prefix}${message}`, type);
+  }
+};
+
+// Steps shared by both job types: prompt, generate and store the AI image.
+// They read the human image and analysis from the job's earlier checkpoints.
+const aiImageSteps = [
+  {
+    name: 'remix',
+    run: async (job) => {
+      const { imageAnalysis, dimensions } = job.checkpoints.analyze;
+      reportProgress(job, 'Engineering AI prompt...');
+      const { prompt, usage } = await remixCaption({
+        ...imageAnalysis,
+        metadata: {
+          ...imageAnalysis.metadata,
+          dimensions
+        }
+      });
+      reportProgress(job, 'AI prompt ready', 'success');
+      return { remixedPrompt: prompt, llmUsage: usage || null };
+    },
+  },
+  {
+    name: 'generateAi',
+    run: async (job) => {
+      const { imageAnalysis, dimensions } = job.checkpoints.analyze;
+      reportProgress(job, 'Starting AI generation (typically 30-45 seconds)...');
+      const { image, provider, model, size, costUsd } = await generateAiImage(
+        job.checkpoints.remix.remixedPrompt,
+        dimensions,
+        {
+          ...imageAnalysis.metadata,
+          dimensions,
+          imageType: imageAnalysis.metadata?.imageType || 'mixed_media',
+          subtype: imageAnalysis.metadata?.subtype || 'unknown'
+        },
+        { provider: job.payload.provider }
+      );
+
+      // Kept on the job so a failed upload does not pay for another generation
+      job.imageData = image;
+      reportProgress(job, 'AI generation complete', 'success');
+      return { provider, model, size, costUsd, generatedAt: new Date() };
+    },
+  },
+  {
+    name: 'uploadAi',
+    run: async (job) => {
+      reportProgress(job, 'Uploading AI image...');
+      const result = await uploadToCloudinary(job.imageData, 'artalyze/aiImages');
+      job.imageData = null;
+      return { url: result.secure_url, publicId: result.public_id };
+    },
+  },
+];
+
+// Upload a human image, generate its AI counterpart and schedule the pair
+registerJobHandler(GENERATE_PAIR_JOB, {
+  steps: [
+    {
+      name: 'uploadHuman',
+      run: async (job) => {
+        reportProgress(job, 'Uploading to cloud storage...');
+        const result = await uploadToCloudinary(job.imageData, 'artalyze/humanImages');
+        job.imageData = null;
+        reportProgress(job, 'Upload complete', 'success');
+        return { url: result.secure_url, publicId: result.public_id };
+      },
+    },
+    {
+      name: 'analyze',
+      run: async (job) => {
+        reportProgress(job, 'Analyzing artistic style...');
+        const { usage, ...imageAnalysis } = await generateImageDescription(job.checkpoints.uploadHuman.url, job.payload.dimensions);
+        reportProgress(job, 'Style analysis complete', 'success');
+        return { imageAnalysis, dimensions: job.payload.dimensions, llmUsage: usage };
+      },
+    },
+    ...aiImageSteps,
+    {
+      name: 'schedule',
+      run: async (job) => {
+        const { pairId } = job.payload;
+        const { imageAnalysis, dimensions } = job.checkpoints.analyze;
+
+        // An earlier attempt may have saved the pair before it could checkpoint
+        const existing = await ImagePair.findOne({ 'pairs._id': pairId }, { scheduledDate: 1 }).lean();
+        if (existing) {
+          return { date: toPuzzleDay(existing.scheduledDate) };
+        }
+
+        reportProgress(job, 'Finding optimal scheduling date...');
+        const targetDay = await findNextAvailableDate({
+          imageType: imageAnalysis.metadata?.imageType || 'mixed_media',
+          style: imageAnalysis.metadata?.style
+        });
+
+        await saveImagePair(
+          targetDay,
+          job.checkpoints.uploadHuman.url,
+          job.checkpoints.uploadAi.url,
+          {
+            description: imageAnalysis.description,
+            styleAnalysis: imageAnalysis.styleAnalysis,
+            metadata: {
+              ...imageAnalysis.metadata,
+              dimensions
+            },
+            remixedPrompt: job.checkpoints.remix.remixedPrompt,
+            imageProvider: job.checkpoints.generateAi.provider
+          },
+          pairId
+        );
+        reportProgress(job, `Scheduled for ${targetDay}`, 'success');
+        return { date: targetDay };
+      },
+    },
+  ],
+  getResult: (job) => ({
+    pairId: job.payload.pairId,
+    date: job.checkpoints.schedule.date,
+    humanImageURL: job.checkpoints.uploadHuman.url,
+    aiImageURL: job.checkpoints.uploadAi.url,
+    imageProvider: job.checkpoints.generateAi.provider,
+    costUsd: job.checkpoints.generateAi.costUsd,
+    llmUsage: getJobLlmUsage(job),
+  }),
+  isRetryable: (error) => !NON_RETRYABLE_ERRORS.includes(error.name),
+  onSuccess: (job) => {
+    const { sessionId, currentImageIndex, totalImages } = job.payload;
+    if (Number(currentImageIndex) === Number(totalImages)) {
+      sendProgress(sessionId, '✨ All images processed and scheduled successfully! ✨', 'success');
+      closeProgressStream(sessionId);
+    } else {
+      reportProgress(job, '✨ Completed successfully! ✨', 'success');
+    }
+  },
+  onFailure: (job, error, willRetry) => {
+    reportProgress(job, willRetry ? `${describeError(error)} Retrying shortly...` : `Failed: ${describeError(error)}`, 'error');
+  },
+});
+
+// Generate a new AI image for an existing pair, keeping the old one as a version
+registerJobHandler(REGENERATE_AI_JOB, {
+  steps: [
+    {
+      name: 'analyze',
+      run: async (job) => {
+        const doc = await ImagePair.findOne({ 'pairs._id': job.payload.pairId }, { status: 1, 'pairs.$': 1 }).lean();
+        if (!doc) {
+          const error = new Error('Pair not found.');
+          error.retryable = false;
+          throw error;
+        }
+        assertNotLive(doc);
+
+        // Get dimensions from the human image
+        const { humanImageURL } = doc.pairs[0];
+        const humanImageResponse = await axios.get(humanImageURL, { responseType: 'arraybuffer' });
+        const dimensions = await getImageDimensions(Buffer.from(humanImageResponse.data));
+
+        const { usage, ...imageAnalysis } = await generateImageDescription(humanImageURL, dimensions);
+        return { imageAnalysis, dimensions, llmUsage: usage };
+      },
+    },
+    ...aiImageSteps,
+    {
+      name: 'apply',
+      run: async (job) => {
+        const { pairId } = job.payload;
+        const { imageAnalysis, dimensions } = job.checkpoints.analyze;
+        const aiImageURL = job.checkpoints.uploadAi.url;
+
+        const doc = await ImagePair.findOne({ 'pairs._id': pairId }, { scheduledDate: 1, status: 1, 'pairs.$': 1 });
+        if (!doc) {
+          const error = new Error('Pair was deleted before its new image could be saved.');
+          error.retryable = false;
+          throw error;
+        }
+        // The day may have gone live while the job was queued
+        assertNotLive(doc);
+
+        // An earlier attempt may have saved the image before it could checkpoint
+        const [pair] = doc.pairs;
+        if (!pair.aiVersions.some(version => version.aiImageURL === aiImageURL)) {
+          const updated = await ImagePair.findOneAndUpdate(
+            { _id: doc._id, status: { $ne: 'live' }, 'pairs._id': pairId },
+            {
+              // The previous image stays in the pair's version history
+              $set: toPositionalSet(addAiVersion(pair, {
+                aiImageURL,
+                metadata: {
+                  description: imageAnalysis.description,
+                  styleAnalysis: imageAnalysis.styleAnalysis,
+                  remixedPrompt: job.checkpoints.remix.remixedPrompt,
+                  imageProvider: job.checkpoints.generateAi.provider,
+                  dimensions,
+                  regeneratedAt: new Date()
+                }
+              }))
+            }
+          );
+          if (!updated) {
+            const error = new Error('The day went live or the pair was deleted before its new image could be saved.');
+            error.retryable = false;
+            throw error;
+          }
+        }
+
+        return { date: toPuzzleDay(doc.scheduledDate) };
+      },
+    },
+  ],
+  getResult: (job) => ({
+    pairId: job.payload.pairId,
+    date: job.checkpoints.apply.date,
+    aiImageURL: job.checkpoints.uploadAi.url,
+    imageProvider: job.checkpoints.generateAi.provider,
+    costUsd: job.checkpoints.generateAi.costUsd,
+    llmUsage: getJobLlmUsage(job),
+  }),
+  isRetryable: (error) => !NON_RETRYABLE_ERRORS.includes(error.name),
+});
+
+module.exports = {
+  GENERATE_PAIR_JOB,
+  REGENERATE_AI_JOB,
+  getImageDimensions,
+};
@@ -0,0 +1,75 @@
+const ImagePair = require('../models/ImagePair');
+const { addDays } = require('./dateUtils');
+const { getScheduledDate, scheduledDateFilter } = require('./puzzleCalendar');
+const { pairMatchesTheme } = require('./puzzleUtils');
+const { getLatestPuzzleDay } = require('./publishUtils');
+
+// Pairs served on each puzzle day
+const PAIRS_PER_DAY = 5;
+
+// Helper function to find the next puzzle day, from the latest day any player can
+// be on, with room for another pair. Live days are skipped because players are
+// already graded against their pairs, and themed days are skipped unless the
+// pair's image type or style fits the theme.
+async function findNextAvailableDate(pairDetails = {}) {
+  let targetDay = getLatestPuzzleDay();
+
+  while (true) {
+    const existingDoc = await ImagePair.findOne(
+      { scheduledDate: scheduledDateFilter(targetDay) },
+      { pairs: 1, theme: 1, status: 1 }
+    ).lean();
+
+    if (!existingDoc || (
+      existingDoc.status !== 'live'
+      && existingDoc.pairs.length < PAIRS_PER_DAY
+      && pairMatchesTheme(existingDoc.theme, pairDetails)
+    )) {
+      return targetDay;
+    }
+
+    targetDay = addDays(targetDay, 1);
+  }
+}
+
+// Helper function to save image pair on a puzzle day. A pairId can be given so
+// a retried job can tell whether its pair was already saved. Fails if the day
+// has gone live since it was picked.
+async function saveImagePair(targetDay, humanImageURL, aiImageURL, metadata, pairId = undefined) {
+  try {
+    return await ImagePair.findOneAndUpdate(
+      { scheduledDate: scheduledDateFilter(targetDay), status: { $ne: 'live' } },
+      {
+        $push: {
+          pairs: {
+            _id: pairId,
+            humanImageURL,
+            aiImageURL,
+            metadata: {
+              ...metadata,
+              generatedAt: new Date()
+            }
+          }
+        },
+        $setOnInsert: { scheduledDate: getScheduledDate(targetDay) }
+      },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true
+      }
+    );
+  } catch (error) {
+    // The live day already exists, so the upsert collides with it
+    if (error.code === 11000) {
+      throw new Error(`Puzzle day ${targetDay} went live before the pair could be added`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  PAIRS_PER_DAY,
+  findNextAvailableDate,
+  saveImagePair
+};
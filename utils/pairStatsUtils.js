@@ -0,0 +1,117 @@
+const PairStats = require('../models/PairStats');
+const { getPairDetails } = require('./puzzleUtils');
+
+/**
+ * Add one graded attempt to the per-pair counters
+ * @param {Object} params Attempt details
+ * @param {string} params.date Puzzle day as YYYY-MM-DD
+ * @param {Array} params.pairs Pair subdocuments from ImagePair.pairs
+ * @param {Array<boolean>} params.results Whether each pair was guessed correctly
+ * @param {boolean} params.isFirstTry Whether this was the player's first attempt
+ * @param {Array<number>|null} [params.answerTimesMs] Per-pair answer times if the attempt was timed
+ * @returns {Promise<Object>} Bulk write result
+ */
+const recordPairGuesses = async ({ date, pairs, results, isFirstTry, answerTimesMs = null }) => {
+  const operations = pairs.map((pair, index) => {
+    const correct = results[index] ? 1 : 0;
+
+    return {
+      updateOne: {
+        filter: { pairId: pair._id },
+        update: {
+          $set: { date, ...getPairDetails(pair) },
+          $inc: {
+            guesses: 1,
+            correct,
+            fooled: 1 - correct,
+            firstTryGuesses: isFirstTry ? 1 : 0,
+            firstTryCorrect: isFirstTry ? correct : 0,
+            timedGuesses: answerTimesMs ? 1 : 0,
+            totalAnswerTimeMs: answerTimesMs ? answerTimesMs[index] : 0,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  return PairStats.bulkWrite(operations, { ordered: false });
+};
+
+/**
+ * Turn summed counters into rates
+ * @param {Object} counters Document with guesses, correct, fooled, firstTryGuesses and firstTryCorrect
+ * @returns {Object} The counters with foolRate, correctRate, firstTryCorrectRate and averageAnswerTimeMs added
+ */
+const withRates = (counters) => {
+  const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : null);
+
+  return {
+    ...counters,
+    foolRate: rate(counters.fooled, counters.guesses),
+    correctRate: rate(counters.correct, counters.guesses),
+    firstTryCorrectRate: rate(counters.firstTryCorrect, counters.firstTryGuesses),
+    averageAnswerTimeMs: counters.timedGuesses ? Math.round(counters.totalAnswerTimeMs / counters.timedGuesses) : null,
+  };
+};
+
+/**
+ * Summarise pair stats for a range of puzzle days, per pair and grouped by
+ * image type and style
+ * @param {Object} range Puzzle days to include
+ * @param {string} [range.from] First day as YYYY-MM-DD
+ * @param {string} [range.to] Last day as YYYY-MM-DD
+ * @returns {Promise<Object>} { totals, byImageType, byStyle, pairs }, rates in percent
+ */
+const summarizePairStats = async ({ from, to }) => {
+  const match = {};
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+
+  const sumCounters = {
+    pairCount: { $sum: 1 },
+    guesses: { $sum: '$guesses' },
+    correct: { $sum: '$correct' },
+    fooled: { $sum: '$fooled' },
+    firstTryGuesses: { $sum: '$firstTryGuesses' },
+    firstTryCorrect: { $sum: '$firstTryCorrect' },
+    timedGuesses: { $sum: '$timedGuesses' },
+    totalAnswerTimeMs: { $sum: '$totalAnswerTimeMs' },
+  };
+
+  const [summary] = await PairStats.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...sumCounters } }],
+        byImageType: [{ $group: { _id: '$imageType', ...sumCounters } }, { $sort: { guesses: -1 } }],
+        byStyle: [{ $group: { _id: '$style', ...sumCounters } }, { $sort: { guesses: -1 } }],
+        pairs: [{ $sort: { date: -1 } }, { $project: { createdAt: 0, updatedAt: 0, __v: 0 } }],
+      },
+    },
+  ]);
+
+  const emptyTotals = {
+    pairCount: 0,
+    guesses: 0,
+    correct: 0,
+    fooled: 0,
+    firstTryGuesses: 0,
+    firstTryCorrect: 0,
+    timedGuesses: 0,
+    totalAnswerTimeMs: 0,
+  };
+  const { _id, ...totals } = summary.totals[0] || emptyTotals;
+
+  return {
+    totals: withRates(totals),
+    byImageType: summary.byImageType.map(({ _id, ...group }) => withRates({ imageType: _id, ...group })),
+    byStyle: summary.byStyle.map(({ _id, ...group }) => withRates({ style: _id, ...group })),
+    pairs: summary.pairs.map(withRates),
+  };
+};
+
+module.exports = { recordPairGuesses, summarizePairStats };
@@ -0,0 +1,36 @@
+// Server-sent progress messages for the admin panel, keyed by the session id
+// the panel opened with GET /api/admin/progress-updates/:sessionId
+
+// Initialize global progress streams map if not exists
+if (!global.progressStreams) {
+  global.progressStreams = new Map();
+}
+
+// Send progress update to client
+const sendProgress = (sessionId, message, type = 'info') => {
+  if (global.progressStreams?.has(sessionId)) {
+    try {
+      const res = global.progressStreams.get(sessionId);
+      res.write(`data: ${JSON.stringify({ message, type })}\n\n`);
+    } catch (error) {
+      console.error('Error sending progress update:', error);
+    }
+  }
+};
+
+// Close a progress stream, giving the frontend time to process the last message
+const closeProgressStream = (sessionId, delayMs = 2000) => {
+  setTimeout(() => {
+    if (global.progressStreams?.has(sessionId)) {
+      sendProgress(sessionId, 'Closing connection...', 'info');
+      const stream = global.progressStreams.get(sessionId);
+      stream.end();
+      global.progressStreams.delete(sessionId);
+    }
+  }, delayMs);
+};
+
+module.exports = {
+  sendProgress,
+  closeProgressStream
+};
@@ -1,14 +1,10 @@
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { chat } = require('./llmClient');
 
 /**
  * Enhanced prompt generation with style analysis and human imperfections
  * @param {string} caption Original image caption
  * @param {Object} metadata Optional metadata from style analysis
- * @returns {Promise<Object>} Generated prompt and metadata
+ * @returns {Promise<Object>} Generated prompt, metadata and LLM usage
  */
 async function generateAiPrompt(caption, metadata = {}) {
   try {
@@ -23,8 +19,7 @@ async function generateAiPrompt(caption, metadata = {}) {
     }
 
     // Generate the enhanced prompt
-    const response = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
+    const response = await chat('prompt', {
       messages: [{
         role: "system",
         content: `You are an expert art prompt engineer specializing in creating AI-generated art that is indistinguishable from human-made artwork. Your goal is to maintain artistic fidelity while introducing natural, human-like variations and imperfections.
@@ -69,7 +64,7 @@ Return ONLY the prompt text with no explanation or additional text.`
       presence_penalty: 0.6
     });
 
-    const prompt = response.choices[0].message.content.trim();
+    const prompt = response.content;
     
     return {
       prompt,
@@ -78,7 +73,8 @@ Return ONLY the prompt text with no explanation or additional text.`
         styleAnalysis,
         suggestedImperfections,
         generatedAt: new Date()
-      }
+      },
+      usage: response.usage
     };
 
   } catch (error) {
@@ -92,8 +88,7 @@ Return ONLY the prompt text with no explanation or additional text.`
  */
 async function analyzeStyleAndImperfections(caption, metadata) {
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
+    const response = await chat('styleAnalysis', {
       messages: [{
         role: "system",
         content: `You are an expert art critic and historian. Analyze artworks and suggest natural imperfections that would make AI-generated art feel more authentically human-made.`
@@ -114,7 +109,7 @@ Focus on medium-appropriate imperfections that are natural for the artistic styl
       temperature: 0.7
     });
 
-    const analysis = response.choices[0].message.content.trim();
+    const analysis = response.content;
     
     // Parse the response to extract style analysis and imperfections
     const lines = analysis.split('\n').filter(line => line.trim());
@@ -136,14 +131,13 @@ Focus on medium-appropriate imperfections that are natural for the artistic styl
 }
 
 /**
- * Generate a creative AI image prompt from a caption using GPT-4 Turbo (legacy function)
+ * Generate a creative AI image prompt from a caption with the 'prompt' LLM model (legacy function)
  * @param {string} caption Original image caption
  * @returns {Promise<string>} Generated prompt for AI image
  */
 async function generateAiPromptLegacy(caption) {
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
+    const response = await chat('prompt', {
       messages: [{
         role: "system",
         content: `You are a precise art prompt engineer for Stable Diffusion XL. Your task is to create new prompts that maintain strict consistency with the original artwork's style and category while varying the specific subject.
@@ -176,7 +170,7 @@ Return ONLY the prompt text with no explanation or additional text.`
       presence_penalty: 0.5
     });
 
-    const prompt = response.choices[0].message.content.trim();
+    const prompt = response.content;
     return prompt;
 
   } catch (error) {
@@ -0,0 +1,133 @@
+const ImagePair = require('../models/ImagePair');
+const GraceDay = require('../models/GraceDay');
+const { getPlayerPuzzleDay, getScheduledDate, scheduledDateFilter, toPuzzleDay } = require('./puzzleCalendar');
+
+// The first time zone to reach a new day. A day goes live when it starts here,
+// so no player can reach a puzzle before it is published.
+const EARLIEST_TIME_ZONE = 'Pacific/Kiritimati';
+
+// The last time zone a player can pick to reach a new day (UTC-12; Etc/ zone
+// names have the sign reversed). A day is over for everyone once it ends here.
+const LATEST_TIME_ZONE = 'Etc/GMT+12';
+
+// What to do when a day starts without an approved puzzle:
+//   grace   - serve nothing and declare a grace day so no streak breaks (default)
+//   publish - put the day's pairs live anyway, unreviewed
+//   none    - serve nothing; streaks break unless an admin declares a grace day
+const UNAPPROVED_DAY_FALLBACKS = ['grace', 'publish', 'none'];
+
+/**
+ * Read the configured fallback for unapproved days
+ * @returns {string} One of UNAPPROVED_DAY_FALLBACKS
+ */
+const getUnapprovedDayFallback = () => {
+  const fallback = process.env.UNAPPROVED_DAY_FALLBACK || 'grace';
+  if (!UNAPPROVED_DAY_FALLBACKS.includes(fallback)) {
+    console.warn(`Unknown UNAPPROVED_DAY_FALLBACK "${fallback}", using "grace"`);
+    return 'grace';
+  }
+  return fallback;
+};
+
+/**
+ * Get the latest puzzle day any player can be on
+ * @returns {string} Puzzle day as YYYY-MM-DD
+ */
+const getLatestPuzzleDay = () => getPlayerPuzzleDay(EARLIEST_TIME_ZONE);
+
+/**
+ * Get the earliest puzzle day any player can be on. Every day before it is
+ * over in all time zones, so its answers can be given away.
+ * @returns {string} Puzzle day as YYYY-MM-DD
+ */
+const getEarliestPuzzleDay = () => getPlayerPuzzleDay(LATEST_TIME_ZONE);
+
+/**
+ * Handle a day that has started without being approved, as configured by
+ * UNAPPROVED_DAY_FALLBACK. Safe to run repeatedly for the same day.
+ * @param {string} day Puzzle day as YYYY-MM-DD
+ * @param {Object|null} puzzle The day's ImagePair document, if any
+ * @returns {Promise<string>} The fallback applied
+ */
+const applyUnapprovedDayFallback = async (day, puzzle) => {
+  const fallback = getUnapprovedDayFallback();
+  const hasPairs = !!puzzle?.pairs?.length;
+
+  if (fallback === 'publish' && hasPairs) {
+    await ImagePair.updateOne({ _id: puzzle._id }, { $set: { status: 'live', updatedAt: new Date() } });
+    console.warn('Unapproved day published by fallback:', day);
+    return 'publish';
+  }
+
+  // With nothing to publish, the grace fallback still protects streaks
+  if (fallback !== 'none') {
+    const result = await GraceDay.updateOne(
+      { date: day },
+      { $setOnInsert: { date: day, reason: 'No approved puzzle' } },
+      { upsert: true }
+    );
+    if (result.upsertedCount) {
+      console.warn('No approved puzzle; grace day declared by fallback:', day);
+    }
+    return 'grace';
+  }
+
+  console.warn('No approved puzzle for', day, '- nothing will be served');
+  return 'none';
+};
+
+/**
+ * Put every approved day that has started live, and apply the fallback to the
+ * newest day if it has started without approval. Run by the rollover scheduler.
+ * @returns {Promise<Object>} { published, fallback } where fallback is null if today was approved
+ */
+const publishDueDays = async () => {
+  const latestDay = getLatestPuzzleDay();
+  const dueFilter = { $lte: scheduledDateFilter(latestDay).$lte };
+
+  // Updates skip the scheduledDate validator, which rejects past days
+  const { modifiedCount } = await ImagePair.updateMany(
+    { scheduledDate: dueFilter, status: 'approved', 'pairs.0': { $exists: true } },
+    { $set: { status: 'live', updatedAt: new Date() } }
+  );
+  if (modifiedCount) {
+    console.log('Approved days published:', modifiedCount);
+  }
+
+  const puzzle = await ImagePair.findOne({ scheduledDate: scheduledDateFilter(latestDay) });
+  const fallback = puzzle?.status === 'live' ? null : await applyUnapprovedDayFallback(latestDay, puzzle);
+
+  return { published: modifiedCount, fallback };
+};
+
+/**
+ * List each upcoming day's publishing state for the admin dashboard
+ * @param {string} from First puzzle day as YYYY-MM-DD
+ * @param {string} to Last puzzle day as YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} Days as { date, status, pairCount }
+ */
+const listPublishingSchedule = async (from, to) => {
+  const puzzles = await ImagePair.find(
+    { scheduledDate: { $gte: getScheduledDate(from), $lte: scheduledDateFilter(to).$lte } },
+    { scheduledDate: 1, status: 1, pairs: 1 }
+  )
+    .sort({ scheduledDate: 1 })
+    .lean();
+
+  return puzzles.map(puzzle => ({
+    date: toPuzzleDay(puzzle.scheduledDate),
+    status: puzzle.status,
+    pairCount: puzzle.pairs.length,
+  }));
+};
+
+module.exports = {
+  EARLIEST_TIME_ZONE,
+  LATEST_TIME_ZONE,
+  UNAPPROVED_DAY_FALLBACKS,
+  getUnapprovedDayFallback,
+  getLatestPuzzleDay,
+  getEarliestPuzzleDay,
+  publishDueDays,
+  listPublishingSchedule,
+};
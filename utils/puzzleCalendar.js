@@ -0,0 +1,109 @@
+const { getDateInTimeZone, getTimeZoneOffset, isValidDateString, addDays } = require('./dateUtils');
+
+// The release schedule is defined in this time zone: each ImagePair.scheduledDate
+// is midnight here. Players roll over to the next puzzle at their own local
+// midnight (see getPlayerPuzzleDay), and this zone is their default.
+const PUZZLE_TIME_ZONE = 'America/New_York';
+
+/**
+ * Get the puzzle day an instant falls on
+ * @param {Date} [date] Instant to convert, defaults to now
+ * @returns {string} Puzzle day as YYYY-MM-DD
+ */
+const getPuzzleDay = (date = new Date()) => {
+  return getDateInTimeZone(date, PUZZLE_TIME_ZONE);
+};
+
+/**
+ * Get the puzzle day a player is on, based on the calendar date in their time zone
+ * @param {string} [timeZone] Player's IANA time zone, defaults to PUZZLE_TIME_ZONE
+ * @param {Date} [date] Instant to convert, defaults to now
+ * @returns {string} Puzzle day as YYYY-MM-DD
+ */
+const getPlayerPuzzleDay = (timeZone, date = new Date()) => {
+  return getDateInTimeZone(date, timeZone || PUZZLE_TIME_ZONE);
+};
+
+/**
+ * Get the puzzle day before the current one
+ * @returns {string} Puzzle day as YYYY-MM-DD
+ */
+const getPreviousPuzzleDay = () => {
+  return addDays(getPuzzleDay(), -1);
+};
+
+/**
+ * Get the scheduledDate for a puzzle day: the instant the day starts in the
+ * puzzle time zone. This is 05:00 UTC in winter and 04:00 UTC in summer.
+ * @param {string} day Puzzle day as YYYY-MM-DD
+ * @returns {Date} Start of the puzzle day
+ */
+const getScheduledDate = (day) => {
+  const midnightAsUTC = new Date(`${day}T00:00:00.000Z`);
+
+  // Apply the offset at the guessed instant, then re-check it in case the
+  // guess landed on the other side of a DST change
+  let start = new Date(midnightAsUTC.getTime() - getTimeZoneOffset(midnightAsUTC, PUZZLE_TIME_ZONE));
+  const correctedOffset = getTimeZoneOffset(start, PUZZLE_TIME_ZONE);
+  start = new Date(midnightAsUTC.getTime() - correctedOffset);
+
+  return start;
+};
+
+/**
+ * Get the first and last instants of a puzzle day
+ * @param {string} day Puzzle day as YYYY-MM-DD
+ * @returns {Object} { start, end } as Dates
+ */
+const getPuzzleDayRange = (day) => {
+  const start = getScheduledDate(day);
+  const end = new Date(getScheduledDate(addDays(day, 1)).getTime() - 1);
+  return { start, end };
+};
+
+/**
+ * Build a Mongo filter matching any scheduledDate on a puzzle day. Documents
+ * saved before DST handling stored 05:00 UTC all year, so exact matches on
+ * scheduledDate are avoided in favour of this range.
+ * @param {string} day Puzzle day as YYYY-MM-DD
+ * @returns {Object} Filter for the scheduledDate field
+ */
+const scheduledDateFilter = (day) => {
+  const { start, end } = getPuzzleDayRange(day);
+  return { $gte: start, $lte: end };
+};
+
+/**
+ * Get the puzzle day a stored scheduledDate belongs to
+ * @param {Date} scheduledDate Value from ImagePair.scheduledDate
+ * @returns {string} Puzzle day as YYYY-MM-DD
+ */
+const toPuzzleDay = (scheduledDate) => {
+  return getPuzzleDay(new Date(scheduledDate));
+};
+
+/**
+ * Read a puzzle day from admin input, which may be a bare date or a full ISO
+ * timestamp. Only the calendar date the admin picked is kept.
+ * @param {string} value Input such as '2025-03-09' or '2025-03-09T00:00:00.000Z'
+ * @returns {string|null} Puzzle day as YYYY-MM-DD, or null if it is not a date
+ */
+const parsePuzzleDay = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const day = value.slice(0, 10);
+  return isValidDateString(day) ? day : null;
+};
+
+module.exports = {
+  PUZZLE_TIME_ZONE,
+  getPuzzleDay,
+  getPreviousPuzzleDay,
+  getPlayerPuzzleDay,
+  getScheduledDate,
+  getPuzzleDayRange,
+  scheduledDateFilter,
+  toPuzzleDay,
+  parsePuzzleDay,
+};
@@ -1,23 +1,253 @@
+const crypto = require('crypto');
 const ImagePair = require('../models/ImagePair');
-const { getTodayInEST } = require('./dateUtils'); // Ensure dateUtils exists
+const { daysBetween } = require('./dateUtils');
+const { getPuzzleDay, getScheduledDate, scheduledDateFilter, toPuzzleDay } = require('./puzzleCalendar');
+
+// Slot names the client sees in place of human/ai
+const SLOTS = ['left', 'right'];
 
 // Function to generate image pairs for the day
 const generateImagePairs = async () => {
-    const nowUTC = new Date();
-    const startOfDayUTC = new Date(nowUTC);
-    startOfDayUTC.setUTCHours(5, 0, 0, 0);
-    const endOfDayUTC = new Date(startOfDayUTC);
-    endOfDayUTC.setUTCHours(28, 59, 59, 999);
-  
     const dailyPuzzle = await ImagePair.findOne({
-      scheduledDate: { $gte: startOfDayUTC, $lte: endOfDayUTC },
+      scheduledDate: scheduledDateFilter(getPuzzleDay()),
       status: 'live',
     });
-  
+
     if (!dailyPuzzle) {
       throw new Error('No daily puzzle available for today.');
     }
-  
+
     return dailyPuzzle.pairs || [];
   };
-  
+
+/**
+ * Find the live puzzle document for a given day, if it has any completed pairs.
+ * Days that have not been published are never served.
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object|null>} ImagePair document for that day
+ */
+const findPuzzleForDate = async (date) => {
+  const scheduledDate = scheduledDateFilter(date);
+  console.log('Searching for pairs between:', scheduledDate.$gte.toISOString(), 'and', scheduledDate.$lte.toISOString());
+
+  return ImagePair.findOne({
+    scheduledDate,
+    status: 'live',
+    'pairs.0': { $exists: true } // Ensure there are completed pairs
+  });
+};
+
+/**
+ * List past puzzle days that have pairs, newest first
+ * @param {string} before First puzzle day to leave out, as YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} Days as { date, pairCount }
+ */
+const listArchiveDays = async (before) => {
+  // Pairs are counted in the query so their images and metadata are not loaded
+  const pastPuzzles = await ImagePair.aggregate([
+    { $match: { scheduledDate: { $lt: getScheduledDate(before) }, status: 'live', 'pairs.0': { $exists: true } } },
+    { $sort: { scheduledDate: -1 } },
+    { $project: { scheduledDate: 1, pairCount: { $size: '$pairs' } } },
+  ]);
+
+  return pastPuzzles.map(puzzle => ({
+    date: toPuzzleDay(puzzle.scheduledDate),
+    pairCount: puzzle.pairCount,
+  }));
+};
+
+/**
+ * Get the puzzle number for a day, counted from the first scheduled puzzle so
+ * it never changes when later days are added or edited
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @returns {Promise<number|null>} Puzzle number starting at 1, or null before the first puzzle
+ */
+const getPuzzleNumber = async (date) => {
+  const firstPuzzle = await ImagePair.findOne({ status: 'live', 'pairs.0': { $exists: true } }, { scheduledDate: 1 })
+    .sort({ scheduledDate: 1 })
+    .lean();
+
+  if (!firstPuzzle) {
+    return null;
+  }
+
+  const number = daysBetween(toPuzzleDay(firstPuzzle.scheduledDate), date) + 1;
+  return number > 0 ? number : null;
+};
+
+/**
+ * Read the classification saved with a pair. Uploads store the image analysis
+ * under metadata.metadata; older pairs may have it directly on metadata.
+ * @param {Object} pair Pair subdocument from ImagePair.pairs
+ * @returns {Object} { imageType, style, remixedPrompt }
+ */
+const getPairDetails = (pair) => {
+  const metadata = pair.metadata || {};
+  const analysis = metadata.metadata || metadata;
+
+  return {
+    imageType: analysis.imageType || 'unknown',
+    style: analysis.style || 'unknown',
+    remixedPrompt: metadata.remixedPrompt || null,
+  };
+};
+
+/**
+ * Check whether a pair fits a day's theme. Days without theme restrictions take
+ * any pair; otherwise the image type must be listed or the style must contain
+ * one of the theme's styles.
+ * @param {Object|null} theme ImagePair.theme of the day
+ * @param {Object} details { imageType, style } of the pair
+ * @returns {boolean} Whether the pair can be scheduled on that day
+ */
+const pairMatchesTheme = (theme, details) => {
+  const imageTypes = theme?.imageTypes || [];
+  const styles = theme?.styles || [];
+
+  if (!imageTypes.length && !styles.length) {
+    return true;
+  }
+
+  const style = (details.style || '').toLowerCase();
+  return imageTypes.includes(details.imageType)
+    || styles.some(themeStyle => style.includes(themeStyle.toLowerCase()));
+};
+
+/**
+ * Shape a day's title, theme and curator note for the client
+ * @param {Object} puzzle ImagePair document
+ * @returns {Object} { title, theme, curatorNote }
+ */
+const toPublicDayDetails = (puzzle) => ({
+  title: puzzle.title || null,
+  theme: puzzle.theme?.name || null,
+  curatorNote: puzzle.curatorNote || null,
+});
+
+/**
+ * Work out which slot holds the human image for a pair. The slot is derived
+ * from an HMAC of the puzzle date and pair id, so it is stable across requests
+ * and the answer key never has to leave the server.
+ * @param {string} puzzleDate Puzzle day as YYYY-MM-DD
+ * @param {Object} pair Pair subdocument from ImagePair.pairs
+ * @returns {string} 'left' or 'right'
+ */
+const getHumanSlot = (puzzleDate, pair) => {
+  const secret = process.env.PUZZLE_SECRET || process.env.JWT_SECRET;
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${puzzleDate}:${pair._id}`)
+    .digest();
+
+  return SLOTS[digest[0] % SLOTS.length];
+};
+
+/**
+ * Shape pairs for the client with each image in an opaque left/right slot
+ * @param {string} puzzleDate Puzzle day as YYYY-MM-DD
+ * @param {Array} pairs Pair subdocuments from ImagePair.pairs
+ * @returns {Array<Object>} Pairs as { pairIndex, left, right }
+ */
+const toPublicPairs = (puzzleDate, pairs) => {
+  return pairs.map((pair, pairIndex) => {
+    const humanOnLeft = getHumanSlot(puzzleDate, pair) === 'left';
+    return {
+      pairIndex,
+      left: humanOnLeft ? pair.humanImageURL : pair.aiImageURL,
+      right: humanOnLeft ? pair.aiImageURL : pair.humanImageURL,
+    };
+  });
+};
+
+// Longest explanation shown in a reveal when no reveal note was written
+const MAX_EXPLANATION_LENGTH = 280;
+
+/**
+ * Shorten generated analysis to its first sentences
+ * @param {string} text Text to shorten
+ * @param {number} maxLength Longest result allowed
+ * @returns {string|null} Shortened text, or null if there was none
+ */
+const summarizeText = (text, maxLength) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const sentences = text.trim().match(/[^.!?]+[.!?]+/g) || [text.trim()];
+  let summary = '';
+  for (const sentence of sentences) {
+    if ((summary + sentence).length > maxLength) {
+      break;
+    }
+    summary += sentence;
+  }
+
+  return summary.trim() || `${text.trim().slice(0, maxLength - 1)}…`;
+};
+
+/**
+ * Shape pairs for the post-game reveal: which slot was human, the prompt behind
+ * the AI image, why it gives itself away and who made the human image
+ * @param {string} puzzleDate Puzzle day as YYYY-MM-DD
+ * @param {Array} pairs Pair subdocuments from ImagePair.pairs
+ * @param {Array<boolean>} pairResults Whether the player got each pair right on their final attempt
+ * @returns {Array<Object>} Reveal entries, one per pair
+ */
+const toRevealPairs = (puzzleDate, pairs, pairResults) => {
+  return pairs.map((pair, pairIndex) => {
+    const metadata = pair.metadata || {};
+    const humanSlot = getHumanSlot(puzzleDate, pair);
+
+    return {
+      pairIndex,
+      humanSlot,
+      aiSlot: SLOTS.find(slot => slot !== humanSlot),
+      humanImageURL: pair.humanImageURL,
+      aiImageURL: pair.aiImageURL,
+      wasCorrect: pairResults[pairIndex] ?? null,
+      description: metadata.description || null,
+      explanation: metadata.revealNote || summarizeText(metadata.styleAnalysis, MAX_EXPLANATION_LENGTH),
+      prompt: metadata.remixedPrompt || null,
+      artistCredit: metadata.artistCredit?.name ? metadata.artistCredit : null,
+    };
+  });
+};
+
+/**
+ * Check that selections has one valid slot per pair
+ * @param {*} selections Value sent by the client
+ * @param {number} pairCount Number of pairs in the puzzle
+ * @returns {boolean} Whether the selections can be graded
+ */
+const isValidSelections = (selections, pairCount) => {
+  return Array.isArray(selections)
+    && selections.length === pairCount
+    && selections.every(slot => SLOTS.includes(slot));
+};
+
+/**
+ * Grade selections (the slot picked as human for each pair) against the answer key
+ * @param {string} puzzleDate Puzzle day as YYYY-MM-DD
+ * @param {Array} pairs Pair subdocuments from ImagePair.pairs
+ * @param {Array<string>} selections Slot picked for each pair
+ * @returns {Array<boolean>} Whether each pair was guessed correctly
+ */
+const gradeSelections = (puzzleDate, pairs, selections) => {
+  return pairs.map((pair, index) => selections[index] === getHumanSlot(puzzleDate, pair));
+};
+
+module.exports = {
+  SLOTS,
+  generateImagePairs,
+  findPuzzleForDate,
+  listArchiveDays,
+  getPuzzleNumber,
+  getPairDetails,
+  pairMatchesTheme,
+  toPublicDayDetails,
+  getHumanSlot,
+  toPublicPairs,
+  toRevealPairs,
+  isValidSelections,
+  gradeSelections,
+};
@@ -0,0 +1,141 @@
+const ImagePair = require('../models/ImagePair');
+const PairReview = require('../models/PairReview');
+const { getPairDetails } = require('./puzzleUtils');
+const { getScheduledDate, toPuzzleDay } = require('./puzzleCalendar');
+
+/**
+ * List pairs waiting for review on days that have not gone live yet
+ * @param {string} from First puzzle day to include, as YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} Days as { date, status, pairs }, soonest first
+ */
+const listReviewQueue = async (from) => {
+  const puzzles = await ImagePair.find(
+    {
+      scheduledDate: { $gte: getScheduledDate(from) },
+      status: { $ne: 'live' },
+      pairs: { $elemMatch: { review: null } },
+    },
+    { scheduledDate: 1, status: 1, pairs: 1 }
+  )
+    .sort({ scheduledDate: 1 })
+    .lean();
+
+  return puzzles.map(puzzle => ({
+    date: toPuzzleDay(puzzle.scheduledDate),
+    status: puzzle.status,
+    pairs: puzzle.pairs
+      .filter(pair => !pair.review)
+      .map(pair => ({
+        pairId: pair._id,
+        humanImageURL: pair.humanImageURL,
+        aiImageURL: pair.aiImageURL,
+        description: pair.metadata?.description || null,
+        ...getPairDetails(pair),
+      })),
+  }));
+};
+
+/**
+ * Record a review decision on a pair. Approved pairs stay on their day with the
+ * decision attached; rejected pairs are removed from the day and kept only in
+ * the review log. Pairs on live days can no longer be reviewed.
+ * @param {Object} params Review details
+ * @param {string} params.pairId Pair being reviewed
+ * @param {string} params.action 'approve' or 'reject'
+ * @param {string} params.reviewer Email of the reviewing admin
+ * @param {string} [params.notes] Free-text notes
+ * @param {Array<string>} [params.reasonCodes] PairReview.REASON_CODES keys; at least one is required to reject
+ * @returns {Promise<Object>} { error } with { status, message }, or { review }
+ */
+const reviewPair = async ({ pairId, action, reviewer, notes = '', reasonCodes = [] }) => {
+  const puzzle = await ImagePair.findOne({ 'pairs._id': pairId }, { scheduledDate: 1, status: 1, 'pairs.$': 1 });
+  if (!puzzle) {
+    return { error: { status: 404, message: 'Pair not found' } };
+  }
+  if (puzzle.status === 'live') {
+    return { error: { status: 409, message: 'Pairs on a live day can no longer be reviewed' } };
+  }
+  if (action === 'reject' && !reasonCodes.length) {
+    return { error: { status: 400, message: 'At least one reason code is required to reject a pair' } };
+  }
+
+  const [pair] = puzzle.pairs;
+  const date = toPuzzleDay(puzzle.scheduledDate);
+
+  if (action === 'approve') {
+    await ImagePair.updateOne(
+      { _id: puzzle._id, 'pairs._id': pairId },
+      { $set: { 'pairs.$.review': { status: 'approved', reviewer, notes, reviewedAt: new Date() } } }
+    );
+  } else {
+    // Removing a pair also sends an approved day back for approval
+    await ImagePair.findOneAndUpdate({ _id: puzzle._id }, { $pull: { pairs: { _id: pairId } } });
+  }
+
+  const { imageType, style } = getPairDetails(pair);
+  const review = await PairReview.create({
+    pairId,
+    date,
+    action,
+    reviewer,
+    notes,
+    reasonCodes,
+    imageType,
+    style,
+    pair: action === 'reject' ? pair.toObject() : null,
+  });
+
+  console.log('Pair reviewed:', { pairId, date, action, reviewer, reasonCodes });
+  return { review };
+};
+
+/**
+ * Count rejection reasons, overall and per image type and style, for prompt tuning
+ * @param {Object} [range] Optional review date range
+ * @param {string} [range.from] First day as YYYY-MM-DD
+ * @param {string} [range.to] Last day as YYYY-MM-DD
+ * @returns {Promise<Object>} { total, byReason, byImageType, byStyle }
+ */
+const summarizeRejections = async ({ from, to } = {}) => {
+  const match = { action: 'reject' };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+
+  const countBy = (field) => [
+    { $unwind: '$reasonCodes' },
+    { $group: { _id: { [field]: `$${field}`, reasonCode: '$reasonCodes' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $project: { _id: 0, [field]: `$_id.${field}`, reasonCode: '$_id.reasonCode', count: 1 } },
+  ];
+
+  const [summary] = await PairReview.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byReason: [
+          { $unwind: '$reasonCodes' },
+          { $group: { _id: '$reasonCodes', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, reasonCode: '$_id', count: 1 } },
+        ],
+        byImageType: countBy('imageType'),
+        byStyle: countBy('style'),
+      },
+    },
+  ]);
+
+  const withLabel = (entry) => ({ ...entry, label: PairReview.REASON_CODES[entry.reasonCode] || entry.reasonCode });
+
+  return {
+    total: summary.total[0]?.count || 0,
+    byReason: summary.byReason.map(withLabel),
+    byImageType: summary.byImageType.map(withLabel),
+    byStyle: summary.byStyle.map(withLabel),
+  };
+};
+
+module.exports = { listReviewQueue, reviewPair, summarizeRejections };
@@ -0,0 +1,155 @@
+const Stats = require('../models/Stats');
+const User = require('../models/User');
+const GuestSession = require('../models/GuestSession');
+const { getPuzzleDay, getPlayerPuzzleDay } = require('./puzzleCalendar');
+const { MAX_TRIES } = require('./statsUtils');
+const { rollOverDayState } = require('./rolloverUtils');
+const { getLatestPuzzleDay, publishDueDays } = require('./publishUtils');
+
+// Some time zones are offset by 30 or 45 minutes, so the job runs every quarter
+// hour to catch each of their midnights
+const ROLLOVER_INTERVAL_MS = 15 * 60 * 1000;
+
+// Documents are loaded in batches so time zones can be looked up together
+const ROLLOVER_BATCH_SIZE = 200;
+
+let rolloverTimer = null;
+
+/**
+ * Filter for documents whose day state may be behind. Players with nothing to
+ * reset and no streak to break are skipped so idle accounts are not rewritten daily.
+ * @param {string} latestDay Latest puzzle day any player can be on
+ * @returns {Object} Mongo filter
+ */
+const staleDayStateFilter = (latestDay) => ({
+  $and: [
+    {
+      $or: [
+        { dayStateDate: { $lt: latestDay } },
+        { dayStateDate: null, lastTriesMadeDate: { $lt: latestDay } },
+      ],
+    },
+    {
+      $or: [
+        { 'attempts.0': { $exists: true } },
+        { 'selections.0': { $exists: true } },
+        { 'completedAttempts.0': { $exists: true } },
+        { 'timedPairs.0': { $exists: true } },
+        { triesRemaining: { $ne: MAX_TRIES } },
+        { currentStreak: { $gt: 0 } },
+      ],
+    },
+  ],
+});
+
+/**
+ * Roll over a batch of user stats, each on the day of the user's own time zone
+ * @param {Array<Object>} batch Stats documents
+ * @param {Map} puzzleCache Puzzles by day, shared across the run
+ * @returns {Promise<number>} Number of documents rolled over
+ */
+const rollOverStatsBatch = async (batch, puzzleCache) => {
+  const users = await User.find({ _id: { $in: batch.map(stats => stats.userId) } }, { timeZone: 1 }).lean();
+  const timeZones = new Map(users.map(user => [String(user._id), user.timeZone]));
+
+  let rolledOver = 0;
+  for (const stats of batch) {
+    const today = getPlayerPuzzleDay(timeZones.get(String(stats.userId)));
+    if (await rollOverDayState(stats, { userId: stats.userId }, today, { puzzleCache })) {
+      await stats.save();
+      rolledOver += 1;
+    }
+  }
+  return rolledOver;
+};
+
+/**
+ * Move every player whose puzzle day has ended onto the new day
+ * @returns {Promise<Object>} { users, guests } rolled over
+ */
+const runDailyRollover = async () => {
+  const latestDay = getLatestPuzzleDay();
+  const puzzleCache = new Map();
+  let users = 0;
+  let guests = 0;
+
+  let batch = [];
+  for await (const stats of Stats.find(staleDayStateFilter(latestDay)).cursor()) {
+    batch.push(stats);
+    if (batch.length === ROLLOVER_BATCH_SIZE) {
+      users += await rollOverStatsBatch(batch, puzzleCache);
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    users += await rollOverStatsBatch(batch, puzzleCache);
+  }
+
+  // Guests always play on the puzzle time zone
+  const guestDay = getPuzzleDay();
+  const guestFilter = { ...staleDayStateFilter(guestDay), mergedInto: null };
+  for await (const session of GuestSession.find(guestFilter).cursor()) {
+    if (await rollOverDayState(session, { guestId: session.guestId }, guestDay, { puzzleCache })) {
+      await session.save();
+      guests += 1;
+    }
+  }
+
+  if (users || guests) {
+    console.log('Daily rollover complete:', { users, guests });
+  }
+  return { users, guests };
+};
+
+/**
+ * Publish due days, then roll players over. Each step runs even if the other fails.
+ */
+const runScheduledJobs = async () => {
+  try {
+    await publishDueDays();
+  } catch (error) {
+    console.error('Publishing due days failed:', error);
+  }
+
+  try {
+    await runDailyRollover();
+  } catch (error) {
+    console.error('Daily rollover failed:', error);
+  }
+};
+
+/**
+ * Publish any day that is already due, then run the scheduled jobs at every
+ * quarter hour. Runs never overlap: the next is scheduled when the current one finishes.
+ */
+const startRolloverScheduler = () => {
+  if (rolloverTimer) {
+    return;
+  }
+
+  const scheduleNext = () => {
+    const delay = ROLLOVER_INTERVAL_MS - (Date.now() % ROLLOVER_INTERVAL_MS);
+    rolloverTimer = setTimeout(async () => {
+      await runScheduledJobs();
+      if (rolloverTimer) {
+        scheduleNext();
+      }
+    }, delay);
+  };
+
+  // A restart should not leave today unpublished until the next quarter hour
+  publishDueDays().catch(error => console.error('Publishing due days failed:', error));
+
+  scheduleNext();
+  console.log('Daily rollover scheduler started');
+};
+
+/**
+ * Stop the scheduler, e.g. on shutdown
+ */
+const stopRolloverScheduler = () => {
+  clearTimeout(rolloverTimer);
+  rolloverTimer = null;
+};
+
+module.exports = { runDailyRollover, startRolloverScheduler, stopRolloverScheduler };
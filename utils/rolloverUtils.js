@@ -0,0 +1,89 @@
+const { addDays } = require('./dateUtils');
+const { findPuzzleForDate, gradeSelections } = require('./puzzleUtils');
+const { MAX_TRIES, findGraceDaysBetween, canBridgeMissedDays, recordGameResult } = require('./statsUtils');
+
+/**
+ * Get the puzzle day a player's daily fields belong to. Documents from before
+ * dayStateDate existed fall back to the day they last made a try.
+ * @param {Object} state Stats or GuestSession document
+ * @returns {string|null} Puzzle day as YYYY-MM-DD
+ */
+const getDayStateDate = (state) => state.dayStateDate || state.lastTriesMadeDate || null;
+
+/**
+ * Check whether a player's daily fields are from an earlier day
+ * @param {Object} state Stats or GuestSession document
+ * @param {string} today Player's puzzle day as YYYY-MM-DD
+ * @returns {boolean} Whether rollOverDayState has work to do
+ */
+const needsRollover = (state, today) => {
+  const dayStateDate = getDayStateDate(state);
+  // A later day means the player moved west; their next day starts when it catches up
+  return dayStateDate !== today && !(dayStateDate && dayStateDate > today);
+};
+
+/**
+ * Move a player onto a new puzzle day. This is the one place the new-day rules
+ * live: an unfinished game goes into history, a streak that can no longer be
+ * kept is broken, and tries, selections and attempts start fresh. The caller saves.
+ * @param {Object} state Stats or GuestSession document
+ * @param {Object} owner Player as { userId } or { guestId }
+ * @param {string} today Player's puzzle day as YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {Map} [options.puzzleCache] Puzzles by day, shared across players by the rollover job
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+const rollOverDayState = async (state, owner, today, { puzzleCache = new Map() } = {}) => {
+  if (!needsRollover(state, today)) {
+    return false;
+  }
+
+  const previousDay = getDayStateDate(state);
+
+  // Keep an unfinished game's attempts in history
+  if (previousDay && state.attempts.length && state.lastPlayedDate !== previousDay) {
+    if (!puzzleCache.has(previousDay)) {
+      puzzleCache.set(previousDay, await findPuzzleForDate(previousDay));
+    }
+    const puzzle = puzzleCache.get(previousDay);
+
+    if (puzzle) {
+      await recordGameResult({
+        owner,
+        date: previousDay,
+        pairIds: puzzle.pairs.map(pair => pair._id),
+        attemptResults: state.attempts.map(attempt => gradeSelections(previousDay, puzzle.pairs, attempt)),
+        startedAt: state.puzzleStartedDate === previousDay ? state.puzzleStartedAt : null,
+        isComplete: false,
+        answerTimesMs: state.attemptTimesMs || [],
+      });
+    }
+  }
+
+  // Break the streak once the missed days can no longer be covered by grace days or freezes
+  if (state.currentStreak > 0 && state.lastPlayedDate && state.lastPlayedDate < addDays(today, -1)) {
+    const graceDays = await findGraceDaysBetween(state.lastPlayedDate, today);
+    if (!canBridgeMissedDays(state, today, graceDays)) {
+      console.log('Streak broken at rollover:', { ...owner, lastPlayedDate: state.lastPlayedDate, currentStreak: state.currentStreak });
+      state.currentStreak = 0;
+      state.perfectStreak = 0;
+    }
+  }
+
+  state.triesRemaining = MAX_TRIES;
+  state.selections = [];
+  state.attempts = [];
+  state.attemptTimesMs = [];
+  state.completedSelections = [];
+  state.completedAttempts = [];
+  state.timedPairs = [];
+  state.timedPairsDate = null;
+  if (state.schema.path('alreadyGuessed')) {
+    state.alreadyGuessed = [];
+  }
+  state.dayStateDate = today;
+
+  return true;
+};
+
+module.exports = { needsRollover, rollOverDayState };
@@ -0,0 +1,238 @@
+const Stats = require('../models/Stats');
+const User = require('../models/User');
+const GameResult = require('../models/GameResult');
+const GraceDay = require('../models/GraceDay');
+const { getPlayerPuzzleDay } = require('./puzzleCalendar');
+const { addDays } = require('./dateUtils');
+const {
+  MAX_STREAK_FREEZES,
+  createStats,
+  canBridgeMissedDays,
+  applyGameResult,
+  applyAnswerTimes,
+  applyFastestPerfect,
+} = require('./statsUtils');
+
+// Stats fields that are derived from history and so can be rebuilt. Today's
+// tries, selections and attempts are live game state and are left alone.
+const REBUILT_FIELDS = [
+  'gamesPlayed',
+  'winPercentage',
+  'currentStreak',
+  'maxStreak',
+  'perfectStreak',
+  'maxPerfectStreak',
+  'perfectPuzzles',
+  'mistakeDistribution',
+  'mostRecentScore',
+  'lastPlayedDate',
+  'streakFreezes',
+  'frozenDates',
+  'timedAnswers',
+  'averageAnswerTimeMs',
+  'fastestPerfectMs',
+];
+
+/**
+ * Replay a user's daily results, oldest first, through the same rules the game
+ * uses, so the rebuilt stats match what live play would have produced
+ * @param {string} userId User the stats belong to
+ * @param {Array<Object>} results Daily GameResult documents, oldest first
+ * @param {Array<string>} graceDays Every grace day as YYYY-MM-DD
+ * @param {string} today User's current puzzle day as YYYY-MM-DD
+ * @returns {Object} Unsaved Stats document holding the rebuilt values
+ */
+const replayResults = (userId, results, graceDays, today) => {
+  const rebuilt = createStats(userId);
+
+  for (const result of results) {
+    const timedAttempts = result.answerTimesMs.filter(times => times.length);
+    timedAttempts.forEach(times => applyAnswerTimes(rebuilt, times));
+
+    // Unfinished days only contribute their answer times
+    if (!result.completedAt) {
+      continue;
+    }
+
+    applyGameResult(rebuilt, {
+      correctAnswers: result.pairResults.filter(Boolean).length,
+      totalQuestions: result.pairResults.length,
+      today: result.date,
+      graceDays,
+    });
+    if (result.isPerfect) {
+      applyFastestPerfect(rebuilt, result.answerTimesMs);
+    }
+  }
+
+  // A streak whose gap since the last play can no longer be bridged is already broken
+  if (rebuilt.lastPlayedDate && rebuilt.lastPlayedDate < today && !canBridgeMissedDays(rebuilt, today, graceDays)) {
+    rebuilt.currentStreak = 0;
+    rebuilt.perfectStreak = 0;
+  }
+
+  return rebuilt;
+};
+
+/**
+ * Compare two field values, treating objects and arrays by content
+ * @param {*} a First value
+ * @param {*} b Second value
+ * @returns {boolean} Whether they hold the same data
+ */
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Read a stats field as plain data for comparison and reporting
+ * @param {Object} stats Stats document
+ * @param {string} field Field name
+ * @returns {*} Plain value
+ */
+const readField = (stats, field) => {
+  const value = stats.get(field);
+  if (field === 'mistakeDistribution') {
+    // Keys may have been saved as numbers or strings; compare them in a fixed order
+    return Object.fromEntries(Object.keys(value || {}).sort().map(key => [key, value[key]]));
+  }
+  return Array.isArray(value) ? [...value] : value;
+};
+
+/**
+ * Recompute a user's Stats from their recorded daily results and report every
+ * field that differs. Nothing is written unless apply is set.
+ *
+ * GameResults were only recorded from a certain release on, so older accounts
+ * have played more games than their results show. Those users are reported
+ * with incompleteHistory and never written, since the rebuild would wipe the
+ * stats earned before then.
+ * @param {string} userId User to rebuild
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] Save the rebuilt values
+ * @param {Array<string>} [options.graceDays] Every grace day, loaded if not given
+ * @returns {Promise<Object|null>} { userId, resultsFound, gamesFound, incompleteHistory, differences, applied },
+ *   or null if the user does not exist
+ */
+const rebuildUserStats = async (userId, { apply = false, graceDays = null } = {}) => {
+  const user = await User.findById(userId, { timeZone: 1 }).lean();
+  if (!user) {
+    return null;
+  }
+
+  const today = getPlayerPuzzleDay(user.timeZone);
+  const allGraceDays = graceDays || (await GraceDay.find({}, { date: 1 }).lean()).map(graceDay => graceDay.date);
+  const results = await GameResult.find({ userId, mode: 'daily', date: { $lte: today } }).sort({ date: 1 }).lean();
+
+  const rebuilt = replayResults(userId, results, allGraceDays, today);
+  const stats = await Stats.findOne({ userId }) || createStats(userId);
+
+  const differences = {};
+  for (const field of REBUILT_FIELDS) {
+    const current = stats.isNew ? null : readField(stats, field);
+    const expected = readField(rebuilt, field);
+    if (!isSameValue(current, expected)) {
+      differences[field] = { current, rebuilt: expected };
+    }
+  }
+
+  const gamesFound = results.filter(result => result.completedAt).length;
+  const incompleteHistory = !stats.isNew && gamesFound < (stats.gamesPlayed || 0);
+
+  const hasDifferences = Object.keys(differences).length > 0;
+  const applied = apply && hasDifferences && !incompleteHistory;
+  if (applied) {
+    REBUILT_FIELDS.forEach(field => stats.set(field, rebuilt.get(field)));
+    stats.markModified('mistakeDistribution');
+    await stats.save();
+    console.log('Stats rebuilt from history:', { userId: String(userId), fields: Object.keys(differences) });
+  } else if (apply && hasDifferences) {
+    console.warn('Stats rebuild skipped, history is incomplete:', {
+      userId: String(userId),
+      gamesPlayed: stats.gamesPlayed,
+      gamesFound,
+    });
+  }
+
+  return {
+    userId: String(userId),
+    resultsFound: results.length,
+    gamesFound,
+    incompleteHistory,
+    differences,
+    applied,
+  };
+};
+
+/**
+ * Rebuild every user's Stats, reporting only the users whose stats differ.
+ * Users with incomplete history are reported and counted but never written.
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] Save the rebuilt values
+ * @returns {Promise<Object>} { checked, mismatched, applied, incompleteHistory, reports }
+ */
+const rebuildAllStats = async ({ apply = false } = {}) => {
+  const graceDays = (await GraceDay.find({}, { date: 1 }).lean()).map(graceDay => graceDay.date);
+  const summary = { checked: 0, mismatched: 0, applied: 0, incompleteHistory: 0, reports: [] };
+
+  for await (const stats of Stats.find({}, { userId: 1 }).lean().cursor()) {
+    const report = await rebuildUserStats(stats.userId, { apply, graceDays });
+    if (!report) {
+      continue;
+    }
+
+    summary.checked += 1;
+    if (Object.keys(report.differences).length) {
+      summary.mismatched += 1;
+      summary.reports.push(report);
+    }
+    if (report.applied) {
+      summary.applied += 1;
+    }
+    if (report.incompleteHistory) {
+      summary.incompleteHistory += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Rebuild the stats of users whose streak a newly declared grace day could
+ * bridge. The rollover breaks a streak once its gap cannot be covered, so a
+ * grace day declared afterwards, e.g. for a broken puzzle noticed the next day,
+ * only restores streaks through a rebuild. Users with incomplete history are
+ * left unchanged, as in rebuildUserStats.
+ * @param {string} day The new grace day as YYYY-MM-DD
+ * @returns {Promise<Object>} { checked, restored, incompleteHistory }
+ */
+const restoreStreaksForGraceDay = async (day) => {
+  // Only a streak that reached the grace day can be bridged by it, and a
+  // player can miss at most MAX_STREAK_FREEZES days in a row and keep one
+  const userIds = await GameResult.distinct('userId', {
+    userId: { $ne: null },
+    mode: 'daily',
+    completedAt: { $ne: null },
+    date: { $gte: addDays(day, -(MAX_STREAK_FREEZES + 1)), $lt: day },
+  });
+
+  const graceDays = (await GraceDay.find({}, { date: 1 }).lean()).map(graceDay => graceDay.date);
+  const summary = { checked: 0, restored: 0, incompleteHistory: 0 };
+
+  for (const userId of userIds) {
+    const report = await rebuildUserStats(userId, { apply: true, graceDays });
+    if (!report) {
+      continue;
+    }
+
+    summary.checked += 1;
+    if (report.applied && report.differences.currentStreak) {
+      summary.restored += 1;
+    }
+    if (report.incompleteHistory) {
+      summary.incompleteHistory += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = { REBUILT_FIELDS, rebuildUserStats, rebuildAllStats, restoreStreaksForGraceDay };
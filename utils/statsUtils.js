@@ -0,0 +1,370 @@
+const Stats = require('../models/Stats');
+const GameResult = require('../models/GameResult');
+const GraceDay = require('../models/GraceDay');
+const { addDays } = require('./dateUtils');
+
+// Number of attempts a player gets at each daily puzzle
+const MAX_TRIES = 3;
+
+// Streak freezes: one is earned for every PERFECT_PUZZLES_PER_FREEZE perfect
+// puzzles and every STREAK_MILESTONE days of streak, up to MAX_STREAK_FREEZES held
+const MAX_STREAK_FREEZES = 3;
+const PERFECT_PUZZLES_PER_FREEZE = 5;
+const STREAK_MILESTONE = 7;
+
+/**
+ * Create a fresh, unsaved stats document for a user
+ * @param {string} userId User the stats belong to
+ * @returns {Object} Stats document
+ */
+const createStats = (userId) => {
+  return new Stats({
+    userId,
+    gamesPlayed: 0,
+    winPercentage: 0,
+    currentStreak: 0,
+    maxStreak: 0,
+    perfectStreak: 0,
+    maxPerfectStreak: 0,
+    perfectPuzzles: 0,
+    triesRemaining: MAX_TRIES,
+    mistakeDistribution: { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+  });
+};
+
+/**
+ * List the puzzle days strictly between two days
+ * @param {string} from Earlier puzzle day as YYYY-MM-DD
+ * @param {string} to Later puzzle day as YYYY-MM-DD
+ * @returns {Array<string>} Days in between, oldest first
+ */
+const listDaysBetween = (from, to) => {
+  const days = [];
+  for (let day = addDays(from, 1); day < to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Find the admin-declared grace days strictly between two puzzle days
+ * @param {string|null} from Day the player last played, or null if they never have
+ * @param {string} to Current puzzle day as YYYY-MM-DD
+ * @returns {Promise<Array<string>>} Grace days as YYYY-MM-DD
+ */
+const findGraceDaysBetween = async (from, to) => {
+  if (!from) {
+    return [];
+  }
+
+  const graceDays = await GraceDay.find({ date: { $gt: from, $lt: to } }, { date: 1 }).lean();
+  return graceDays.map(graceDay => graceDay.date);
+};
+
+/**
+ * List the days missed since the last play that are not grace days
+ * @param {Object} stats Stats or GuestSession document with a lastPlayedDate
+ * @param {string} today Current puzzle day as YYYY-MM-DD
+ * @param {Array<string>} graceDays Grace days since the last play
+ * @returns {Array<string>} Missed days, oldest first
+ */
+const listMissedDays = (stats, today, graceDays) => {
+  return listDaysBetween(stats.lastPlayedDate, today).filter(day => !graceDays.includes(day));
+};
+
+/**
+ * Check, without spending anything, whether the streak can still continue today
+ * @param {Object} stats Stats or GuestSession document
+ * @param {string} today Current puzzle day as YYYY-MM-DD
+ * @param {Array<string>} graceDays Grace days since the last play
+ * @returns {boolean} Whether playing today would keep the streak
+ */
+const canBridgeMissedDays = (stats, today, graceDays) => {
+  return !!stats.lastPlayedDate && listMissedDays(stats, today, graceDays).length <= stats.streakFreezes;
+};
+
+/**
+ * Check whether the days missed since the last play can be bridged, spending
+ * streak freezes on any that are not grace days. Freezes are only spent when
+ * they cover the whole gap, so a streak that breaks anyway keeps its freezes.
+ * @param {Object} stats Stats or GuestSession document
+ * @param {string} today Current puzzle day as YYYY-MM-DD
+ * @param {Array<string>} graceDays Grace days since the last play
+ * @returns {boolean} Whether the streak continues
+ */
+const bridgeMissedDays = (stats, today, graceDays) => {
+  const missedDays = listMissedDays(stats, today, graceDays);
+
+  if (missedDays.length > stats.streakFreezes) {
+    return false;
+  }
+
+  if (missedDays.length) {
+    stats.streakFreezes -= missedDays.length;
+    stats.frozenDates = [...stats.frozenDates, ...missedDays];
+    console.log('Streak freezes used:', missedDays);
+  }
+
+  return true;
+};
+
+/**
+ * Apply a finished daily game to a stats document. The caller saves it.
+ * @param {Object} stats Stats document to update
+ * @param {Object} result Outcome of the game
+ * @param {number} result.correctAnswers Pairs guessed correctly on the final attempt
+ * @param {number} result.totalQuestions Pairs in the puzzle
+ * @param {string} result.today Puzzle day the game was played on, in the player's time zone
+ * @param {Array<string>} [result.graceDays] Grace days since the last play, from findGraceDaysBetween
+ * @returns {Object} The updated stats document
+ */
+const applyGameResult = (stats, { correctAnswers, totalQuestions, today, graceDays = [] }) => {
+  stats.gamesPlayed += 1;
+
+  const mistakes = Math.max(totalQuestions - correctAnswers, 0); // Calculate mistakes
+  stats.mostRecentScore = mistakes; // Track most recent mistake count
+  stats.mistakeDistribution[mistakes] = (stats.mistakeDistribution[mistakes] || 0) + 1;
+  stats.markModified('mistakeDistribution'); // Ensure nested fields are marked as modified
+
+  // Update streaks
+  const isPerfectGame = correctAnswers === totalQuestions;
+
+  // Missed days are bridged by grace days first, then by streak freezes
+  const continuesStreak = !!stats.lastPlayedDate
+    && stats.lastPlayedDate < today
+    && bridgeMissedDays(stats, today, graceDays);
+
+  if (continuesStreak) {
+    stats.currentStreak += 1;
+    stats.perfectStreak = isPerfectGame ? stats.perfectStreak + 1 : 0;
+  } else if (stats.lastPlayedDate !== today) {
+    stats.currentStreak = 1;
+    stats.perfectStreak = isPerfectGame ? 1 : 0;
+  }
+
+  stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+  stats.maxPerfectStreak = Math.max(stats.maxPerfectStreak, stats.perfectStreak);
+
+  // Update perfect puzzles count
+  if (isPerfectGame) {
+    stats.perfectPuzzles += 1;
+  }
+
+  // Award streak freezes for perfect puzzle and streak milestones
+  const freezesEarned = (isPerfectGame && stats.perfectPuzzles % PERFECT_PUZZLES_PER_FREEZE === 0 ? 1 : 0)
+    + (stats.currentStreak % STREAK_MILESTONE === 0 ? 1 : 0);
+  stats.streakFreezes = Math.min(stats.streakFreezes + freezesEarned, MAX_STREAK_FREEZES);
+
+  // Calculate win percentage
+  stats.winPercentage = Math.round((stats.perfectPuzzles / stats.gamesPlayed) * 100);
+
+  // Update last played date
+  stats.lastPlayedDate = today;
+
+  console.log('Applied game result:', {
+    gamesPlayed: stats.gamesPlayed,
+    winPercentage: stats.winPercentage,
+    currentStreak: stats.currentStreak,
+    maxStreak: stats.maxStreak,
+    perfectStreak: stats.perfectStreak,
+    maxPerfectStreak: stats.maxPerfectStreak,
+    perfectPuzzles: stats.perfectPuzzles,
+    mistakeDistribution: stats.mistakeDistribution,
+    mostRecentScore: stats.mostRecentScore,
+    streakFreezes: stats.streakFreezes,
+  });
+
+  return stats;
+};
+
+/**
+ * Sum a list of answer times
+ * @param {Array<number>} times Times in milliseconds
+ * @returns {number} Total time in milliseconds
+ */
+const sumTimes = (times) => times.reduce((total, time) => total + time, 0);
+
+/**
+ * Roll one timed attempt's answer times into the running average. The caller saves.
+ * @param {Object} stats Stats or GuestSession document
+ * @param {Array<number>} answerTimesMs Server-measured time for each pair
+ * @returns {Object} The updated stats document
+ */
+const applyAnswerTimes = (stats, answerTimesMs) => {
+  const previousTotal = (stats.averageAnswerTimeMs || 0) * stats.timedAnswers;
+  stats.timedAnswers += answerTimesMs.length;
+  stats.averageAnswerTimeMs = Math.round((previousTotal + sumTimes(answerTimesMs)) / stats.timedAnswers);
+  return stats;
+};
+
+/**
+ * Record a perfect game's total answer time if every attempt was timed and it
+ * beats the player's best. The caller saves.
+ * @param {Object} stats Stats or GuestSession document
+ * @param {Array<Array<number>>} attemptTimesMs Answer times per attempt, empty for untimed attempts
+ * @returns {Object} The updated stats document
+ */
+const applyFastestPerfect = (stats, attemptTimesMs) => {
+  if (!attemptTimesMs.length || attemptTimesMs.some(times => !times.length)) {
+    return stats;
+  }
+
+  const totalMs = sumTimes(attemptTimesMs.map(sumTimes));
+  if (stats.fastestPerfectMs === null || totalMs < stats.fastestPerfectMs) {
+    stats.fastestPerfectMs = totalMs;
+  }
+  return stats;
+};
+
+// Share grid squares; they only say whether a pair was right, never which image was AI
+const SHARE_SQUARES = { correct: '🟩', incorrect: '🟥' };
+
+/**
+ * Build the shareable summary of a finished game
+ * @param {Object} params Share details
+ * @param {number|null} params.puzzleNumber Puzzle number from getPuzzleNumber
+ * @param {Object} params.result Completed GameResult document
+ * @param {number} params.currentStreak Player's current daily streak
+ * @returns {Object} { title, grid, triesUsed, maxTries, currentStreak, isPerfect, text }
+ */
+const buildShareCard = ({ puzzleNumber, result, currentStreak }) => {
+  const title = puzzleNumber ? `Artalyze #${puzzleNumber}` : 'Artalyze';
+  const grid = result.attemptResults.map(attempt =>
+    attempt.map(correct => (correct ? SHARE_SQUARES.correct : SHARE_SQUARES.incorrect)).join('')
+  );
+  const score = result.isPerfect ? `${result.attemptsUsed}/${MAX_TRIES}` : `X/${MAX_TRIES}`;
+
+  const lines = [`${title} ${score}`, ...grid];
+  if (currentStreak > 0) {
+    lines.push(`🔥 ${currentStreak}`);
+  }
+
+  return {
+    title,
+    grid,
+    triesUsed: result.attemptsUsed,
+    maxTries: MAX_TRIES,
+    currentStreak,
+    isPerfect: result.isPerfect,
+    text: lines.join('\n'),
+  };
+};
+
+/**
+ * Write the history entry for a game. Completion fields are only set once the
+ * game is over, so unfinished games can be saved too.
+ * @param {Object} params Game details
+ * @param {Object} params.owner Player the result belongs to, as { userId } or { guestId }
+ * @param {string} params.date Puzzle day as YYYY-MM-DD
+ * @param {string} [params.mode] 'daily' or 'archive'
+ * @param {Array} params.pairIds Pair ids in the order they were served
+ * @param {Array<Array<boolean>>} params.attemptResults Per-pair correctness of each attempt
+ * @param {Date|null} [params.startedAt] When the player first saw the puzzle
+ * @param {boolean} [params.isComplete] Whether the game is finished
+ * @param {Array<Array<number>>} [params.answerTimesMs] Timed-mode answer times per attempt, empty for untimed attempts
+ * @returns {Promise<Object>} Saved GameResult document
+ */
+const recordGameResult = async ({
+  owner,
+  date,
+  mode = 'daily',
+  pairIds,
+  attemptResults,
+  startedAt = null,
+  isComplete = true,
+  answerTimesMs = [],
+}) => {
+  const pairResults = attemptResults[attemptResults.length - 1] || [];
+  const mistakes = pairResults.filter(correct => !correct).length;
+  const completedAt = isComplete ? new Date() : null;
+  const isTimed = attemptResults.length > 0
+    && answerTimesMs.length === attemptResults.length
+    && answerTimesMs.every(times => times.length > 0);
+
+  return GameResult.findOneAndUpdate(
+    { ...owner, date, mode },
+    {
+      $set: {
+        pairIds,
+        pairResults,
+        attemptResults,
+        attemptsUsed: attemptResults.length,
+        mistakes,
+        isPerfect: isComplete && pairResults.length > 0 && mistakes === 0,
+        startedAt,
+        completedAt,
+        completionTimeMs: completedAt && startedAt ? completedAt - startedAt : null,
+        answerTimesMs,
+        isTimed,
+        timedTotalMs: isTimed ? sumTimes(answerTimesMs.map(sumTimes)) : null,
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Take one of the player's tries at an archive puzzle. A single conditional
+ * update does the check and the count, so parallel guesses cannot go past
+ * MAX_TRIES; only a guess whose claim succeeds may be graded.
+ * @param {Object} owner Player as { userId }
+ * @param {string} date Puzzle day as YYYY-MM-DD
+ * @returns {Promise<Object|null>} GameResult with the try counted, or null if
+ *   the puzzle is finished or out of tries
+ */
+const claimArchiveAttempt = async (owner, date) => {
+  try {
+    return await GameResult.findOneAndUpdate(
+      { ...owner, date, mode: 'archive', completedAt: null, attemptsUsed: { $lt: MAX_TRIES } },
+      { $inc: { attemptsUsed: 1 }, $setOnInsert: { startedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The result exists but did not match: it is finished or out of tries
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save a graded archive attempt claimed with claimArchiveAttempt. Results are
+ * pushed rather than replaced so parallel attempts do not overwrite each other.
+ * @param {Object} claimed GameResult returned by claimArchiveAttempt
+ * @param {Array} pairIds Pair ids in the order they were served
+ * @param {Array<boolean>} results Per-pair correctness of this attempt
+ * @returns {Promise<Object>} Updated GameResult document
+ */
+const recordArchiveAttempt = (claimed, pairIds, results) => {
+  const mistakes = results.filter(correct => !correct).length;
+  const update = {
+    $push: { attemptResults: results },
+    $set: { pairIds, pairResults: results, mistakes },
+  };
+
+  if (mistakes === 0 || claimed.attemptsUsed >= MAX_TRIES) {
+    const completedAt = new Date();
+    update.$set.completedAt = completedAt;
+    update.$set.completionTimeMs = completedAt - claimed.startedAt;
+    // A perfect attempt stays perfect if a parallel last try finishes after it
+    update.$max = { isPerfect: results.length > 0 && mistakes === 0 };
+  }
+
+  return GameResult.findOneAndUpdate({ _id: claimed._id }, update, { new: true });
+};
+
+module.exports = {
+  MAX_TRIES,
+  MAX_STREAK_FREEZES,
+  createStats,
+  findGraceDaysBetween,
+  canBridgeMissedDays,
+  applyGameResult,
+  applyAnswerTimes,
+  applyFastestPerfect,
+  recordGameResult,
+  claimArchiveAttempt,
+  recordArchiveAttempt,
+  buildShareCard,
+};
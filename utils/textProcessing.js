@@ -1,19 +1,14 @@
-const OpenAI = require('openai');
 const sharp = require('sharp');
 const axios = require('axios');
-
-// Initialize OpenAI with API key
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { chat, sumUsage, getLlmMode } = require('./llmClient');
 
 /**
- * Remixes a caption into a unique prompt using GPT-4o
+ * Remixes a caption into a unique prompt with the 'imperfections' and 'remix' LLM models
  * @param {Object} params - Input parameters
  * @param {string} params.description - The original description
  * @param {string} params.styleAnalysis - Style analysis text
  * @param {Object} params.metadata - Style metadata
- * @returns {Promise<Object>} - The remixed prompt and metadata
+ * @returns {Promise<Object>} - The remixed prompt, metadata and LLM usage
  */
 const remixCaption = async ({ description, styleAnalysis, metadata }) => {
   try {
@@ -60,8 +55,7 @@ const remixCaption = async ({ description, styleAnalysis, metadata }) => {
     };
 
     // First, get style-specific imperfections
-    const imperfectionsResponse = await openai.chat.completions.create({
-      model: "gpt-4",
+    const imperfectionsResponse = await chat('imperfections', {
       messages: [
         {
           role: "system",
@@ -85,11 +79,10 @@ Focus on 2-3 key imperfections that would be natural for this type and medium.`
       temperature: 0.7
     });
 
-    const suggestedImperfections = imperfectionsResponse.choices[0].message.content.trim();
+    const suggestedImperfections = imperfectionsResponse.content;
 
     // Now, generate the final prompt
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const response = await chat('remix', {
       messages: [
         {
           role: "system",
@@ -141,21 +134,23 @@ Format the response as a JSON object with these exact keys:
       max_tokens: 500,
       temperature: 0.8
     });
+    const usage = sumUsage([imperfectionsResponse.usage, response.usage]);
 
     let promptData;
     try {
-      promptData = JSON.parse(response.choices[0].message.content.trim());
+      promptData = JSON.parse(response.content);
     } catch (parseError) {
       console.error('Error parsing GPT response:', parseError);
-      console.log('Raw response:', response.choices[0].message.content.trim());
+      console.log('Raw response:', response.content);
       // Fallback to using the raw response as the prompt
       return {
-        prompt: response.choices[0].message.content.trim(),
+        prompt: response.content,
         metadata: {
           ...safeMetadata,
           criticalInterpretation: "Error parsing response",
           suggestedImperfections
-        }
+        },
+        usage
       };
     }
     
@@ -174,7 +169,8 @@ Dimensions: ${promptData.dimensions}`;
         ...safeMetadata,
         criticalInterpretation: promptData.criticalInterpretation,
         suggestedImperfections
-      }
+      },
+      usage
     };
   } catch (error) {
     console.error('Error remixing caption:', error);
@@ -220,17 +216,19 @@ const analyzeImageDimensions = async (imageUrl) => {
 };
 
 /**
- * Generates a description and style analysis of an image using GPT-4o
+ * Generates a description and style analysis of an image with the 'describe' LLM model
  * @param {string} imageUrl - URL of the image to describe
- * @returns {Promise<Object>} - The generated description and style metadata
+ * @param {Object} [dimensions] - Dimensions the caller already has; otherwise the image
+ *   is fetched to measure them, except in replay mode, which never fetches
+ * @returns {Promise<Object>} - The generated description, style metadata and LLM usage
  */
-const generateImageDescription = async (imageUrl) => {
+const generateImageDescription = async (imageUrl, dimensions) => {
   try {
     // First analyze image dimensions
-    const dimensionData = await analyzeImageDimensions(imageUrl);
+    const dimensionData = dimensions
+      || (getLlmMode() === 'replay' ? null : await analyzeImageDimensions(imageUrl));
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const response = await chat('describe', {
       messages: [
         {
           role: "system",
@@ -309,7 +307,7 @@ Provide the classification, description, and style analysis in natural language,
       temperature: 0.7
     });
 
-    const fullResponse = response.choices[0].message.content.trim();
+    const fullResponse = response.content;
     
     // Split response into parts
     const parts = fullResponse.split(/\d\.\s+/);
@@ -330,7 +328,8 @@ Provide the classification, description, and style analysis in natural language,
       imageTypeClassification,
       description,
       styleAnalysis,
-      metadata
+      metadata,
+      usage: response.usage
     };
   } catch (error) {
     console.error('Error generating description:', error);
@@ -0,0 +1,45 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Normalise an email typed by a player. Accounts are stored with the
+ * lower-cased address, so Bob@x.com and bob@x.com are the same player.
+ * @param {*} value Value sent by the client
+ * @returns {string|null} Trimmed, lower-case email, or null if it is not a string
+ */
+const normalizeEmail = (value) => {
+  return typeof value === 'string' ? value.trim().toLowerCase() : null;
+};
+
+/**
+ * Find the account for an email, whatever its case
+ * @param {*} email Email sent by the client
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserByEmail = async (email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) {
+    return null;
+  }
+
+  // Accounts made before emails were lower-cased may still have capitals
+  return await User.findOne({ email: normalized })
+    || User.findOne({ email: normalized }).collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * Sign a player's session token. It carries their time zone so game requests
+ * can work out their puzzle day without loading the user, and is issued again
+ * whenever the time zone changes.
+ * @param {Object} user User document
+ * @returns {string} Signed JWT
+ */
+const signUserToken = (user) => {
+  return jwt.sign({ userId: user._id, timeZone: user.timeZone }, process.env.JWT_SECRET);
+};
+
+module.exports = {
+  signUserToken,
+  normalizeEmail,
+  findUserByEmail,
+};